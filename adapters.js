@@ -0,0 +1,87 @@
+// adapters.js (classic, guarded assignments)
+// Site adapters for major AI chat apps. Each adapter knows one app's
+// prompt editor, send button, file-attach control and conversation container
+// so content.js can work precisely there; every other site falls back to the
+// weighted detection rules (detection.js, data/detection_rules.json).
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  // Selector lists are comma-joined CSS; the first match wins
+  const BUILTIN_ADAPTERS = [
+    {
+      id: "chatgpt",
+      hosts: ["chatgpt.com", "chat.openai.com"],
+      prompt: "#prompt-textarea, div.ProseMirror[contenteditable='true']",
+      send: "button[data-testid='send-button'], #composer-submit-button",
+      attach: "input[type='file'], button[aria-label*='Attach']",
+      conversation: "main [data-testid^='conversation-turn'], main"
+    },
+    {
+      id: "claude",
+      hosts: ["claude.ai"],
+      prompt: "div.ProseMirror[contenteditable='true'], [data-testid='chat-input']",
+      send: "button[aria-label='Send message'], button[aria-label='Send Message']",
+      attach: "input[type='file'], button[aria-label*='Attach']",
+      conversation: "[data-testid='conversation'], main"
+    },
+    {
+      id: "gemini",
+      hosts: ["gemini.google.com"],
+      prompt: "rich-textarea div.ql-editor[contenteditable='true'], div.ql-editor[contenteditable='true']",
+      send: "button.send-button, button[aria-label='Send message']",
+      attach: "input[type='file'], button[aria-label*='upload' i]",
+      conversation: "chat-window, infinite-scroller, main"
+    },
+    {
+      id: "copilot",
+      hosts: ["copilot.microsoft.com"],
+      prompt: "textarea#userInput, textarea[data-testid='composer-input']",
+      send: "button[data-testid='submit-button'], button[aria-label='Submit message']",
+      attach: "input[type='file'], button[aria-label*='Upload']",
+      conversation: "[data-content='conversation'], main"
+    }
+  ];
+
+  if (!self.AIPG.SITE_ADAPTERS) {
+    self.AIPG.SITE_ADAPTERS = BUILTIN_ADAPTERS.slice();
+  }
+
+  // Add or replace (by id) an adapter; returns false if required fields are missing
+  if (!self.AIPG.registerSiteAdapter) {
+    self.AIPG.registerSiteAdapter = function registerSiteAdapter(adapter) {
+      if (!adapter || !adapter.id || !Array.isArray(adapter.hosts) || !adapter.prompt) return false;
+      const list = self.AIPG.SITE_ADAPTERS;
+      const idx = list.findIndex(a => a.id === adapter.id);
+      if (idx >= 0) list[idx] = adapter; else list.push(adapter);
+      return true;
+    };
+  }
+
+  // Same suffix semantics as the domain lists: host === h || host endsWith "." + h
+  if (!self.AIPG.findSiteAdapter) {
+    self.AIPG.findSiteAdapter = function findSiteAdapter(host) {
+      const h = String(host || "").toLowerCase();
+      if (!h) return null;
+      return self.AIPG.SITE_ADAPTERS.find(a =>
+        a.hosts.some(d => h === d || h.endsWith("." + d))
+      ) || null;
+    };
+  }
+
+  // Adapter selector helpers; unknown/invalid selectors resolve to null
+  if (!self.AIPG.adapterQuery) {
+    self.AIPG.adapterQuery = function adapterQuery(adapter, part, root) {
+      const sel = adapter && adapter[part];
+      if (!sel) return null;
+      try { return (root || document).querySelector(sel); } catch { return null; }
+    };
+  }
+
+  if (!self.AIPG.adapterClosest) {
+    self.AIPG.adapterClosest = function adapterClosest(adapter, part, el) {
+      const sel = adapter && adapter[part];
+      if (!sel || !el || el.nodeType !== 1) return null;
+      try { return el.closest(sel); } catch { return null; }
+    };
+  }
+})();
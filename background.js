@@ -1,29 +1,72 @@
 // background.js (MV3 service worker - classic)
-// Requires utils.js (classic) exposing helpers on self.AIPG
-importScripts("utils.js");
+// Requires utils.js + events.js + dlp.js + detection.js + patterns.js + policy.js + overrides.js
+// + data/ai_api_hosts.js (classic) exposing helpers on self.AIPG
+importScripts("utils.js", "events.js", "dlp.js", "detection.js", "patterns.js", "policy.js", "overrides.js", "data/ai_api_hosts.js");
 
 const {
   computeRiskScore,
   isInternal,
   appendLog,
+  addEvent,
+  pruneEvents,
+  queryEvents,
+  countEvents,
+  onEventsAdded,
+  getOrCreateUserId,
   sha256,
+  canonicalJson,
   getLocal,
-  setLocal
+  setLocal,
+  hashPin,
+  verifyPinHash,
+  overrideHost,
+  verifyOverrideCode,
+  OVERRIDE_STEP_MS,
+  getManaged,
+  getEffective,
+  managedPaths,
+  classifyText,
+  maskSensitive,
+  normalizeFindings,
+  normalizeTransfer,
+  isSensitiveTransfer,
+  mergeDetectionRules,
+  matchListEntry,
+  resolveListVerdict,
+  activeListEntries,
+  listMetaKey,
+  listPatternToRegexFilter,
+  policyForProfile,
+  evaluatePolicy,
+  AI_API_HOSTS
 } = self.AIPG;
 
 // ------------------ In-memory caches ------------------
 let aiDomainsCache = [];
 let rulesCache = null;
+let userRoleCache = null;         // userRole from Options; selects the profile via rules.roleProfiles
+let detectionRulesCache = null;   // packaged detection_rules.json merged with admin customDetectionRules
 
-// Dedup + consent caches (per SW lifecycle)
-const lastOpenMap = new Map();    // key: `${tabId}|${host}` -> last open timestamp (ms)
-const consentMap  = new Map();    // key: `${tabId}|${host}` -> { allowedUntil: ms }
+// Per-tab detection context merged across frames (content.js runs in all frames)
+const tabContexts = new Map();    // tabId -> Map(frameId -> { url, host, signals, sensitiveFields, contentFindings })
+const tabApiCalls = new Map();    // tabId -> Map(apiHost -> { host, provider, initiator, count })
 
 // Tunables
-const OPEN_COOLDOWN_MS = 5000;            // don't reopen within 5s for the same tab+host
-const CONSENT_TTL_MS   = 10 * 60 * 1000;  // 10 minutes consent after Proceed
+const DEFAULT_COOLDOWN_SECONDS = 5;       // profile.cooldownSeconds: no reopen for the same tab+host
+const DEFAULT_CONSENT_MINUTES  = 10;      // profile.consentMinutes: consent after Proceed
+const MAX_COOLDOWN_SECONDS     = 600;
+const JUSTIFICATION_MAX_CHARS = 280;       // free-text reason, after PII scrubbing
+const PIN_FREE_ATTEMPTS   = 3;              // wrong PINs before the first lockout
+const PIN_LOCKOUT_BASE_MS = 30 * 1000;      // first lockout; doubles with every further failure
+const PIN_LOCKOUT_MAX_MS  = 60 * 60 * 1000;
 
 // ------------------ Boot ------------------
+// storage.local holds the Admin PIN hash, rules.overrideSecret and the collector token.
+// Content scripts run in the page's renderer and don't use storage, so the area is kept
+// to extension pages and this worker. Set on every worker start rather than relying on it persisting.
+chrome.storage.local.setAccessLevel?.({ accessLevel: "TRUSTED_CONTEXTS" })
+  .catch((e) => console.warn("[AIPG] storage access level error:", e));
+
 chrome.runtime.onInstalled.addListener(() => ensureBoot());
 chrome.runtime.onStartup.addListener(() => ensureBoot());
 
@@ -37,55 +80,94 @@ async function ensureBoot() {
       fetch(domainsUrl).then(r => r.json())
     ]);
 
+    // Local rules seed from the defaults; managed (enterprise) values then apply on top
     const { rules } = await getLocal(["rules"]);
-    if (!rules) {
-      await setLocal({ rules: defaults });
-      rulesCache = defaults;
-    } else {
-      rulesCache = rules;
-    }
+    if (!rules) await setLocal({ rules: defaults });
+    else await migrateAdminPin(rules);
+    await expireListEntries(); // anything that expired while the browser was closed
+    await refreshPolicyState();
+    await migrateLegacyLogs();
 
-    const { customDomains = [] } = await getLocal(["customDomains"]);
+    const { customDomains = [] } = await getEffective(["customDomains"]);
     aiDomainsCache = Array.from(new Set([...(customDomains || []), ...(packagedDomains || [])]));
+
+    await loadDetectionRules();
+    await syncBlockRules();
+    await scheduleListExpiry();
+    await applyLogRetention();
+    chrome.alarms?.create(LOG_RETENTION_ALARM, { periodInMinutes: 60 });
+    chrome.alarms?.create(FORWARD_ALARM, { periodInMinutes: 1 });
   } catch (e) {
     console.warn("[AIPG] ensureBoot error:", e);
   }
 }
 
+async function loadDetectionRules() {
+  const packaged = await fetch(chrome.runtime.getURL("data/detection_rules.json")).then(r => r.json());
+  const { customDetectionRules } = await getLocal(["customDetectionRules"]);
+  detectionRulesCache = mergeDetectionRules(packaged, customDetectionRules);
+  return detectionRulesCache;
+}
+
+// Tell every http(s) tab's content scripts to drop suppression and reload policy
+function broadcastRulesUpdated(done) {
+  chrome.tabs.query({}, (tabs) => {
+    for (const t of tabs) {
+      if (!t?.id || !t?.url) continue;
+      try {
+        const u = new URL(t.url);
+        if (u.protocol === "http:" || u.protocol === "https:") {
+          chrome.tabs.sendMessage(t.id, { type: "RULES_UPDATED" }, () => void chrome.runtime.lastError);
+        }
+      } catch { /* ignore */ }
+    }
+    if (done) done(tabs);
+  });
+}
+
 // ------------------ React to rule/domain changes live ------------------
+// Enterprise policy pushes arrive as "managed" changes with the same key names;
+// caches are always rebuilt from the effective (managed-over-local) values.
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area !== "local") return;
-
-  if (changes.rules) {
-    // Refresh cached rules immediately
-    rulesCache = changes.rules.newValue || rulesCache;
-
-    // Clear recent-router and consent windows so new policy takes effect NOW
-    lastOpenMap.clear();
-    consentMap.clear();
-
-    // Broadcast to all http(s) tabs so they clear page suppression
-    chrome.tabs.query({}, (tabs) => {
-      for (const t of tabs) {
-        if (!t?.id || !t?.url) continue;
-        try {
-          const u = new URL(t.url);
-          if (u.protocol === "http:" || u.protocol === "https:") {
-            chrome.tabs.sendMessage(t.id, { type: "RULES_UPDATED" }, () => void chrome.runtime.lastError);
-          }
-        } catch { /* ignore */ }
-      }
+  if (area !== "local" && area !== "managed") return;
+
+  // A different role can map to a different profile: same treatment as a rules change
+  if (changes.rules || changes.userRole) {
+    const before = rulesCache ? activePolicyFingerprint() : null;
+
+    refreshPolicyState()
+      // Hard-block navigations for the new blocklist before anything else
+      .then(() => syncBlockRules())
+      .then(() => scheduleListExpiry())
+      .catch((e) => console.warn("[AIPG] syncBlockRules error:", e))
+      .finally(() => {
+        // Writes that leave the active profile's decisions alone (PIN, another profile,
+        // pruning already-expired entries) keep consent and open routers as they are
+        if (before !== null && before === activePolicyFingerprint()) return;
+        // Clear recent-router and consent windows so new policy takes effect NOW, then
+        // broadcast to all http(s) tabs so they clear page suppression and immediately
+        // re-evaluate and (if needed) open the router under the new policy
+        clearRouterState()
+          .catch((e) => console.warn("[AIPG] clearRouterState error:", e))
+          .finally(() => broadcastRulesUpdated((tabs) => forceReevaluateAndPrompt(tabs).catch(() => {})));
+      });
+  }
 
-      // NEW: immediately re-evaluate and (if needed) open the router under the new policy
-      forceReevaluateAndPrompt(tabs).catch(() => {});
-    });
+  if (changes.customDetectionRules) {
+    // Admin-edited detection rules: content scripts re-fetch them on RULES_UPDATED
+    loadDetectionRules().then(() => broadcastRulesUpdated()).catch(() => {});
+  }
+
+  if (changes.logForwarding) {
+    // New collector settings: try now instead of waiting out an old backoff
+    forwardEvents({ force: true }).catch((e) => console.warn("[AIPG] forwarding error:", e));
   }
 
   if (changes.customDomains) {
     // Recompute AI domains (custom + packaged)
     Promise.all([
       fetch(chrome.runtime.getURL("data/ai_domains.json")).then(r => r.json()),
-      new Promise(res => chrome.storage.local.get(["customDomains"], v => res(v.customDomains || [])))
+      getEffective(["customDomains"]).then(v => v.customDomains || [])
     ]).then(([packaged, custom]) => {
       aiDomainsCache = Array.from(new Set([...(custom || []), ...(packaged || [])]));
     }).catch(()=>{});
@@ -93,24 +175,55 @@ chrome.storage.onChanged.addListener((changes, area) => {
 });
 
 // ------------------ Helpers ------------------
-function getActiveProfileSync(rulesObj) {
-  const selectedId = rulesObj?.selectedProfileId || "confirm";
+// Profile id mapped to the role in rules.roleProfiles, if that profile exists
+function roleProfileId(rulesObj, role) {
+  const mapped = role ? rulesObj?.roleProfiles?.[role] : "";
+  return mapped && rulesObj?.profiles?.some(p => p.id === mapped) ? mapped : "";
+}
+
+// Role mapping first, then the admin-selected default profile
+function getActiveProfileSync(rulesObj, role = userRoleCache) {
+  const selectedId = roleProfileId(rulesObj, role) || rulesObj?.selectedProfileId || "confirm";
   const profile = rulesObj?.profiles?.find(p => p.id === selectedId) || rulesObj?.profiles?.[0];
   return profile;
 }
 
+// Re-read rules + role (managed values win) so a restarted service worker never
+// decides on stale caches
+async function refreshPolicyState() {
+  const { rules, userRole } = await getEffective(["rules", "userRole"]);
+  if (rules) rulesCache = rules;
+  userRoleCache = userRole || "";
+  return rulesCache;
+}
+
+// What router decisions depend on: the active profile with only its in-force list
+// entries and without list metadata, so expiry bookkeeping alone is not a change
+function activePolicyFingerprint() {
+  const profile = getActiveProfileSync(rulesCache);
+  if (!profile) return "";
+  const { listMeta, allowList, blockList, ...rest } = profile;
+  return canonicalJson({
+    ...rest,
+    allowList: activeListEntries(profile, "allow"),
+    blockList: activeListEntries(profile, "block")
+  });
+}
+
 async function getActiveProfile() {
-  if (!rulesCache) {
-    const { rules } = await getLocal(["rules"]);
-    rulesCache = rules || rulesCache;
-  }
+  if (!rulesCache || userRoleCache == null) await refreshPolicyState();
   return getActiveProfileSync(rulesCache);
 }
 
+function clampConfidence(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : 0;
+}
+
 function hostFromUrl(url){ try{ return new URL(url).hostname.toLowerCase(); }catch{ return ""; } }
 function isHttpUrl(url){ try{ const u=new URL(url); return u.protocol==="http:"||u.protocol==="https:"; }catch{ return false; } }
 
-// Normalize a list entry like "https://foo.bar/path" -> "foo.bar" and lowercase
+// Normalize a host entry like "https://foo.bar/path" -> "foo.bar" and lowercase (AI API catalogue)
 function normalizeHostEntry(input) {
   try {
     if (typeof input !== "string") return "";
@@ -131,60 +244,225 @@ function hostMatchesEntry(host, entry) {
   return h === e || h.endsWith("." + e);
 }
 
-// suffix-aware membership
-function isHostInList(host, list) {
-  const h = (host || "").toLowerCase();
-  const arr = Array.isArray(list) ? list : [];
-  return arr.some(e => hostMatchesEntry(h, e));
+// Allow / block lists hold URL patterns (patterns.js); the most specific match decides
+// -> { verdict: "allow" | "block" | "", entry, allowEntry, blockEntry }
+function listVerdict(url, profile) {
+  return resolveListVerdict(url, activeListEntries(profile, "allow"), activeListEntries(profile, "block"));
 }
 
-function isAiDomainHost(host){
-  // Reuse the same suffix logic for AI domains as well
-  return isHostInList(host, aiDomainsCache);
+function isAiDomainUrl(url){
+  // Same pattern semantics for AI domains as well
+  return !!matchListEntry(url, aiDomainsCache);
 }
 
-function shouldOpenRouter(tabId, host) {
+// ------------------ Consent & router cooldown (chrome.storage.session) ------------------
+// Kept in storage.session so a restarted service worker doesn't prompt again; the
+// browser clears it on exit. Cleared on policy / role changes; tab-keyed entries
+// go with their tab.
+//   consent:  "<tabId>|<host>" (scope "tab") or "*|<host>" (scopes "host", "session")
+//             -> { until (ms, null = until the browser closes), profileId, scope }
+//   cooldown: "<tabId>|<host>" -> last router open (ms)
+const ROUTER_STATE_KEY = "routerState";
+const CONSENT_SCOPES = ["tab", "host", "session"];
+let routerState = null;           // in-memory copy, loaded once per service worker
+let routerStateLoading = null;
+
+function loadRouterState() {
+  if (routerState) return Promise.resolve(routerState);
+  routerStateLoading = routerStateLoading || chrome.storage.session.get(ROUTER_STATE_KEY).then((v) => {
+    // A clear may have landed while loading; it wins
+    if (!routerState) routerState = { consent: {}, cooldown: {}, ...(v?.[ROUTER_STATE_KEY] || {}) };
+    return routerState;
+  });
+  return routerStateLoading;
+}
+
+// Writes the whole state back, dropping what has expired
+function saveRouterState() {
+  const now = Date.now();
+  for (const [k, c] of Object.entries(routerState.consent)) {
+    if (c.until != null && c.until <= now) delete routerState.consent[k];
+  }
+  for (const [k, t] of Object.entries(routerState.cooldown)) {
+    if (now - t >= MAX_COOLDOWN_SECONDS * 1000) delete routerState.cooldown[k];
+  }
+  return chrome.storage.session.set({ [ROUTER_STATE_KEY]: routerState });
+}
+
+async function clearRouterState() {
+  routerState = { consent: {}, cooldown: {} };
+  await saveRouterState();
+}
+
+async function forgetTabRouterState(tabId) {
+  const state = await loadRouterState();
+  const prefix = `${tabId}|`;
+  let changed = false;
+  for (const map of [state.consent, state.cooldown]) {
+    for (const k of Object.keys(map)) if (k.startsWith(prefix)) { delete map[k]; changed = true; }
+  }
+  if (changed) await saveRouterState();
+}
+
+// Per-profile consent window and cooldown, with the old fixed values as defaults
+function consentSettings(profile) {
+  const minutes = Number(profile?.consentMinutes);
+  const seconds = Number(profile?.cooldownSeconds);
+  return {
+    ttlMs: (Number.isFinite(minutes) && minutes >= 0 ? minutes : DEFAULT_CONSENT_MINUTES) * 60 * 1000,
+    scope: CONSENT_SCOPES.includes(profile?.consentScope) ? profile.consentScope : "tab",
+    cooldownMs: Math.min(Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_COOLDOWN_SECONDS, MAX_COOLDOWN_SECONDS) * 1000
+  };
+}
+
+function liveConsent(state, key, now) {
+  const c = state.consent[key];
+  return !!c && (c.until == null || c.until > now);
+}
+
+// Consent from Proceed, whichever scope it was granted with
+async function hasConsent(tabId, host) {
   if (tabId == null || !host) return false;
+  const state = await loadRouterState();
+  const now = Date.now();
+  return liveConsent(state, `${tabId}|${host}`, now) || liveConsent(state, `*|${host}`, now);
+}
+
+async function grantConsent(tabId, host, profile) {
+  const { ttlMs, scope } = consentSettings(profile);
+  if (!host || (scope !== "session" && ttlMs <= 0)) return;
+  const state = await loadRouterState();
+  state.consent[scope === "tab" ? `${tabId}|${host}` : `*|${host}`] = {
+    until: scope === "session" ? null : Date.now() + ttlMs,
+    profileId: profile?.id || "",
+    scope
+  };
+  await saveRouterState();
+}
+
+async function shouldOpenRouter(tabId, host, profile) {
+  if (tabId == null || !host) return false;
+  const state = await loadRouterState();
   const key = `${tabId}|${host}`;
   const now = Date.now();
 
   // Respect recent consent (Proceed)
-  const consent = consentMap.get(key);
-  if (consent && consent.allowedUntil > now) return false;
+  if (liveConsent(state, key, now) || liveConsent(state, `*|${host}`, now)) return false;
 
   // Anti-dup cooldown
-  const last = lastOpenMap.get(key) || 0;
-  if (now - last < OPEN_COOLDOWN_MS) return false;
+  if (now - (state.cooldown[key] || 0) < consentSettings(profile).cooldownMs) return false;
 
-  lastOpenMap.set(key, now);
+  state.cooldown[key] = now;
+  await saveRouterState();
   return true;
 }
 
-/**
- * Profile gating for router prompts:
- *  - "allow": only prompt if host is blocklisted
- *  - "confirm"/"strict": prompt as normal
- */
-function shouldPromptForProfile(profile, { isBlocklisted }) {
-  if (!profile) return true;
-  if (profile.id === "allow") {
-    return !!isBlocklisted; // silent unless blocklisted
+function transferReason(transfer) {
+  if (transfer.kind === "file_upload") return "File upload to AI detected";
+  if (transfer.kind === "drop") return "Drag-and-drop into AI detected";
+  return "Paste into AI detected";
+}
+
+function hasAny(counts) {
+  return !!counts && Object.values(counts).some(v => v > 0);
+}
+
+// ------------------ Policy engine (policy.js) ------------------
+// Every router / hold decision goes through the active profile's ordered rules.
+// -> { action: "allow"|"warn"|"justify"|"pin"|"redirect"|"block", ruleId, message }
+async function decidePolicy(profile, { url, trigger, ctx, risk, lists }) {
+  if (userRoleCache == null) await refreshPolicyState();
+  const categories = new Set();
+  if (ctx.isAiDomain) categories.add("ai_domain");
+  if (ctx.isInternalSite) categories.add("internal");
+  if (lists?.verdict === "allow") categories.add("allowlisted");
+  if (ctx.blocklisted) categories.add("blocklisted");
+  const signals = new Set();
+  if (ctx.aiUiSignals?.length) signals.add("ai_ui");
+  if (ctx.aiApiCalls?.length) signals.add("ai_api");
+  if (hasAny(ctx.sensitiveFields)) signals.add("sensitive_fields");
+  if (hasAny(ctx.contentFindings)) signals.add("sensitive_content");
+  if (ctx.transfer?.sensitive) signals.add("sensitive_transfer");
+  const decision = evaluatePolicy(policyForProfile(profile), {
+    url, trigger, role: userRoleCache || "", risk, categories, signals, findings: ctx.contentFindings || {}
+  });
+  // A helpdesk override code stands in for the Admin PIN on its host
+  if (decision.action === "pin") {
+    const grant = await activeOverride(url);
+    if (grant) return { ...decision, action: "allow", overrideId: grant.overrideId };
   }
-  return true;
+  return decision;
+}
+
+// What the router needs to know about the decision (buttons, PIN, justification)
+// and which profile decided it: role-mapped or the default
+function policyPayload(decision, profile) {
+  return {
+    action: decision.action,
+    ruleId: decision.ruleId,
+    profileName: profile?.name || profile?.id || "",
+    role: userRoleCache || "",
+    byRole: !!profile && roleProfileId(rulesCache, userRoleCache) === profile.id,
+    justification: justificationRule(decision, profile)
+  };
+}
+
+// Proceed needs a reason when the rule says "justify" or the profile always asks
+// (profile.requireJustification): a pick from profile.justificationCategories or
+// a short free-text reason
+function justificationRule(decision, profile) {
+  const categories = Array.isArray(profile?.justificationCategories) ? profile.justificationCategories : [];
+  return {
+    required: decision.action === "justify" || !!profile?.requireJustification,
+    categories: categories.map(c => String(c).trim()).filter(Boolean).slice(0, 20),
+    maxLength: JUSTIFICATION_MAX_CHARS
+  };
+}
+
+function recordFrameSignals(tabId, frameId, data) {
+  if (tabId == null || tabId < 0) return;
+  let frames = tabContexts.get(tabId);
+  if (!frames) { frames = new Map(); tabContexts.set(tabId, frames); }
+  frames.set(frameId || 0, data);
+}
+
+// Union of signals and summed counts across all frames of a tab
+function mergedTabContext(tabId) {
+  const frames = tabContexts.get(tabId) || new Map();
+  const signals = new Set();
+  const sensitiveFields = {};
+  const contentFindings = {};
+  const contributors = [];
+  let aiUiConfidence = 0;   // strongest frame wins
+  for (const [frameId, f] of frames) {
+    for (const sig of f.signals || []) signals.add(sig);
+    for (const [k, v] of Object.entries(f.sensitiveFields || {})) sensitiveFields[k] = (sensitiveFields[k] || 0) + (Number(v) || 0);
+    for (const [k, v] of Object.entries(f.contentFindings || {})) contentFindings[k] = (contentFindings[k] || 0) + v;
+    aiUiConfidence = Math.max(aiUiConfidence, f.aiUiConfidence || 0);
+    contributors.push({ frameId, url: f.url, host: f.host, top: frameId === 0, signals: (f.signals || []).length });
+  }
+  contributors.sort((a, b) => a.frameId - b.frameId);
+  const aiApiCalls = [...(tabApiCalls.get(tabId)?.values() || [])]
+    .map(c => ({ host: c.host, provider: c.provider, count: c.count }));
+  return { signals: [...signals].slice(0, 10), aiUiConfidence, sensitiveFields, contentFindings, aiApiCalls, frames: contributors };
 }
 
 /**
  * Safely send OPEN_ROUTER to a tab:
  *  - only http/https pages
+ *  - opens a router session; router.html decides it by routerId
+ *  - top frame only (one router per tab; subframes never render)
  *  - retry once after 250ms if content script is not ready yet
  *  - swallow runtime errors to avoid crashing the SW
+ * Resolves true if the top frame received the message.
  */
 async function safeOpenRouter(tabId, tabUrl, payload) {
-  if (!tabUrl || !isHttpUrl(tabUrl)) return;
+  if (!tabUrl || !isHttpUrl(tabUrl)) return false;
+  payload = { ...payload, routerId: createRouterSession(tabId, 0, tabUrl, payload) };
 
   async function attempt() {
     return new Promise((resolve) => {
-      chrome.tabs.sendMessage(tabId, payload, () => {
+      chrome.tabs.sendMessage(tabId, payload, { frameId: 0 }, () => {
         const err = chrome.runtime.lastError;
         resolve({ ok: !err, error: err?.message });
       });
@@ -193,30 +471,606 @@ async function safeOpenRouter(tabId, tabUrl, payload) {
 
   // Attempt #1
   let res = await attempt();
-  if (res.ok) return;
+  if (res.ok) return true;
 
   // Retry once if receiver wasn't ready yet
   if (/Receiving end does not exist/i.test(res.error || "")) {
     await new Promise(r => setTimeout(r, 250));
-    await attempt();
+    res = await attempt();
   }
+  return res.ok;
+}
+
+// Held action in a subframe: show its router in the top frame instead.
+// The router session remembers the frame, which gets the decision as HELD_DECISION.
+async function relayHeldRouter(sender, msg, payload) {
+  const tabId = sender?.tab?.id;
+  if (tabId == null || !sender.frameId || !msg.holdId) return false;
+  return safeOpenRouter(tabId, sender.tab.url, {
+    type: "OPEN_ROUTER",
+    held: true,
+    holdId: String(msg.holdId),
+    sourceFrameId: sender.frameId,
+    trigger: msg.trigger || "",
+    redactable: !!msg.redactable,
+    ...payload
+  });
+}
+
+// ------------------ Admin PIN ------------------
+// Only a salted PBKDF2 hash is stored (rules.adminPinHash) and only this worker checks it.
+// Lockout state lives in storage so restarting the service worker does not reset it.
+let pinQueue = Promise.resolve(); // one attempt at a time, so concurrent guesses can't skip a lockout
+
+// Rules saved before hashing kept rules.adminPin in plain text
+async function migrateAdminPin(rules) {
+  if (!rules || !("adminPin" in rules)) return;
+  const next = { ...rules };
+  if (next.adminPin && !next.adminPinHash) next.adminPinHash = await hashPin(next.adminPin);
+  delete next.adminPin;
+  await setLocal({ rules: next });
+}
+
+// Runs `verify` (-> { ok, ...logged fields }) under the shared lockout. PINs and
+// override codes share one tally, so alternating between them can't dodge it.
+// -> { ok, ...fields } | { ok: false, lockedFor: ms }
+function limitedAttempt(kind, source, host, verify) {
+  const attempt = pinQueue.then(async () => {
+    const now = Date.now();
+    const { pinLockout } = await getLocal(["pinLockout"]);
+    const state = { failures: 0, lockedUntil: 0, ...(pinLockout || {}) };
+    if (state.lockedUntil > now) {
+      await appendLog({ kind, source, host, ok: false, lockedOut: true, failures: state.failures });
+      return { ok: false, lockedFor: state.lockedUntil - now };
+    }
+
+    const { ok, ...fields } = await verify();
+    const failures = ok ? 0 : state.failures + 1;
+    const lockMs = failures >= PIN_FREE_ATTEMPTS
+      ? Math.min(PIN_LOCKOUT_MAX_MS, PIN_LOCKOUT_BASE_MS * 2 ** (failures - PIN_FREE_ATTEMPTS))
+      : 0;
+    await setLocal({ pinLockout: { failures, lockedUntil: lockMs ? now + lockMs : 0 } });
+    await appendLog({ kind, source, host, ok, failures, ...fields, ...(lockMs ? { lockedForMs: lockMs } : {}) });
+    return ok ? { ok: true, ...fields } : { ok: false, ...fields, lockedFor: lockMs };
+  });
+  pinQueue = attempt.catch(() => {});
+  return attempt;
+}
+
+// -> { ok } | { ok: false, noPin } | { ok: false, lockedFor: ms }
+async function checkAdminPin(pin, source, host) {
+  await refreshPolicyState();
+  const record = rulesCache?.adminPinHash;
+  if (!record) return { ok: false, noPin: true };
+  return limitedAttempt("pin_attempt", source, host, async () => ({ ok: await verifyPinHash(String(pin || ""), record) }));
+}
+
+// ------------------ Override codes (overrides.js) ------------------
+// A valid code for the tab's host grants an override: "pin" decisions on that host
+// become "allow" for rules.overrideMinutes. Each code works once (usedOverrides).
+const DEFAULT_OVERRIDE_MINUTES = 60;
+
+async function checkOverrideCode(code, host) {
+  await refreshPolicyState();
+  const secret = rulesCache?.overrideSecret;
+  if (!secret) return { ok: false, notConfigured: true };
+  const h = overrideHost(host);
+  if (!h) return { ok: false };
+
+  return limitedAttempt("override_attempt", "router", h, async () => {
+    const match = await verifyOverrideCode(secret, h, code);
+    if (!match.ok) return { ok: false };
+    const overrideId = `${h}#${match.counter}`;
+    const now = Date.now();
+    const { usedOverrides = {}, overrideGrants = {} } = await getLocal(["usedOverrides", "overrideGrants"]);
+    if (usedOverrides[overrideId]) return { ok: false, overrideId, reused: true };
+
+    const minutes = Number(rulesCache.overrideMinutes) > 0 ? Number(rulesCache.overrideMinutes) : DEFAULT_OVERRIDE_MINUTES;
+    const until = now + minutes * 60 * 1000;
+    const used = { [overrideId]: (match.counter + 2) * OVERRIDE_STEP_MS }; // after that the code can't verify anyway
+    for (const [id, exp] of Object.entries(usedOverrides)) if (exp > now) used[id] = exp;
+    const grants = { [h]: { overrideId, until } };
+    for (const [gh, g] of Object.entries(overrideGrants)) if (gh !== h && g?.until > now) grants[gh] = g;
+    await setLocal({ usedOverrides: used, overrideGrants: grants });
+    return { ok: true, overrideId, expiresAt: new Date(until).toISOString() };
+  });
+}
+
+// Live override for the URL's host, or null
+async function activeOverride(url) {
+  const h = overrideHost(hostFromUrl(url));
+  if (!h) return null;
+  const { overrideGrants = {} } = await getLocal(["overrideGrants"]);
+  const g = overrideGrants[h];
+  return g && g.until > Date.now() ? g : null;
+}
+
+// Message came from one of this extension's own pages (not a content script)
+function isExtensionPage(sender, page) {
+  return sender?.id === chrome.runtime.id && String(sender.url || "").startsWith(chrome.runtime.getURL(page));
+}
+
+// blocked.html#<original url>: the blocked URL comes from the page's own address
+// (set by the redirect rule), so a message can't name a different one.
+// The DNR layer enforces the blocklist itself, ahead of the policy rules.
+async function blockPageContext(sender) {
+  const pageUrl = String(sender?.url || "");
+  const hashAt = pageUrl.indexOf("#");
+  const original = hashAt >= 0 ? pageUrl.slice(hashAt + 1) : "";
+  const blockedUrl = isHttpUrl(original) ? original : "";
+  const profile = await getActiveProfile();
+  const lists = listVerdict(blockedUrl, profile);
+  const risk = computeRiskScore({
+    isAiDomain: isAiDomainUrl(blockedUrl),
+    isInternalSite: isInternal(blockedUrl),
+    blocklisted: true
+  }, profile);
+  return { blockedUrl, profile, lists, risk };
+}
+
+// ------------------ Router sessions (router.html) ------------------
+// Every router opened for a tab gets a session holding what background decided.
+// router.html (extension-origin iframe) reads the session and is the only sender
+// whose decisions are accepted; decision details come from the session, not the message.
+const routerSessions = new Map(); // routerId -> { tabId, frameId, tabUrl, payload, relay, pinVerified, overrideId, createdAt }
+const ROUTER_SESSION_TTL_MS = 60 * 60 * 1000;
+const ROUTER_DECISIONS = ["proceed", "redact", "cancel", "redirect", "dismiss"];
+
+function createRouterSession(tabId, frameId, tabUrl, payload) {
+  const now = Date.now();
+  for (const [id, sess] of routerSessions) if (now - sess.createdAt > ROUTER_SESSION_TTL_MS) routerSessions.delete(id);
+  const routerId = crypto.randomUUID();
+  routerSessions.set(routerId, {
+    tabId,
+    frameId: frameId || 0,
+    tabUrl,
+    payload,
+    relay: payload.holdId ? { holdId: payload.holdId, sourceFrameId: payload.sourceFrameId } : null,
+    pinVerified: false,
+    overrideId: "",
+    createdAt: now
+  });
+  return routerId;
+}
+
+// Session for a message from router.html in the session's own tab, or null
+function routerSessionFor(sender, routerId) {
+  if (!isExtensionPage(sender, "router.html")) return null;
+  const sess = routerSessions.get(String(routerId || ""));
+  return sess && sender.tab?.id === sess.tabId ? sess : null;
+}
+
+// "Always block this site" from the router, into the deciding profile's blockList.
+// Users can't allow a site for themselves; they request access (recordAccessRequest).
+async function blockSiteFromRouter(url, profileId) {
+  const host = hostFromUrl(url);
+  if (!host) return;
+  if (managedPaths(await getManaged()).includes("rules.profiles")) return;
+  const { rules } = await getLocal(["rules"]);
+  const p = rules?.profiles?.find(x => x.id === profileId);
+  if (!p) return;
+  p.blockList = p.blockList || [];
+  if (p.blockList.includes(host)) return;
+  p.blockList.push(host);
+  p.listMeta = p.listMeta || {};
+  p.listMeta[listMetaKey("block", host)] = { reason: "Blocked from the router", author: `user:${await getOrCreateUserId()}`, addedAt: Date.now() };
+  await setLocal({ rules });
+}
+
+// Checks the decision against the session's policy, logs it, then tells the frame
+// that opened the router (and the frame holding a relayed action)
+async function applyRouterDecision(routerId, sess, msg) {
+  const { payload } = sess;
+  const policy = payload.policy || { action: "warn", ruleId: "" };
+  const decision = ROUTER_DECISIONS.includes(msg.decision) ? msg.decision : "dismiss";
+  const proceeds = decision === "proceed" || decision === "redact";
+  // The reason is scrubbed locally (dlp.js) before it is validated or stored
+  const rule = policy.justification || justificationRule(policy, null);
+  const justification = maskSensitive(String(msg.justification || "").slice(0, 4 * JUSTIFICATION_MAX_CHARS).trim()).slice(0, JUSTIFICATION_MAX_CHARS);
+  const category = String(msg.justificationCategory || "");
+  if (category && !rule.categories.includes(category)) return { ok: false, error: "Unknown justification category." };
+
+  if (proceeds) {
+    if (policy.action === "block" || policy.action === "redirect") return { ok: false, error: "The policy does not allow proceeding." };
+    if (policy.action === "pin" && !sess.pinVerified) return { ok: false, error: "Admin PIN required." };
+    if (rule.required && !category && !justification) {
+      return { ok: false, error: rule.categories.length ? "Please pick a reason or enter a business justification to proceed." : "Please enter a business justification to proceed." };
+    }
+  }
+  let redirectedTo = "";
+  if (decision === "redirect") {
+    const { approvedAiUrl } = await getEffective(["approvedAiUrl"]);
+    redirectedTo = String(approvedAiUrl || "").trim();
+    if (!isHttpUrl(redirectedTo)) return { ok: false, error: "Approved AI URL is not configured. Set it in Options." };
+  }
+  routerSessions.delete(routerId);
+
+  if (decision !== "dismiss") {
+    await appendLog({
+      kind: "router_decision",
+      decision,
+      reason: payload.reason || "",
+      tabUrl: sess.tabUrl,
+      host: hostFromUrl(sess.tabUrl),
+      risk: payload.risk,
+      profileId: payload.profileId,
+      trigger: payload.trigger || "",
+      pinVerified: sess.pinVerified,
+      ...(sess.overrideId ? { overrideId: sess.overrideId } : {}),
+      policyAction: policy.action || "",
+      policyRuleId: policy.ruleId || "",
+      ...(category ? { justificationCategory: category } : {}),
+      ...(justification ? { justification } : {}),
+      ...(redirectedTo ? { redirectedTo } : {})
+    });
+
+    // Grant consent window ONLY on Proceed (redacted prompts continue too), on the
+    // terms of the profile that decided
+    if (proceeds) {
+      const profile = rulesCache?.profiles?.find(p => p.id === payload.profileId) || await getActiveProfile();
+      await grantConsent(sess.tabId, hostFromUrl(sess.tabUrl), profile);
+    }
+
+    if (decision !== "redirect" && msg.blockSite) await blockSiteFromRouter(sess.tabUrl, payload.profileId);
+  }
+
+  chrome.tabs.sendMessage(sess.tabId, { type: "ROUTER_DECIDED", routerId, decision }, { frameId: sess.frameId }, () => void chrome.runtime.lastError);
+  if (sess.relay) {
+    chrome.tabs.sendMessage(sess.tabId, {
+      type: "HELD_DECISION",
+      holdId: sess.relay.holdId,
+      decision
+    }, { frameId: sess.relay.sourceFrameId }, () => void chrome.runtime.lastError);
+  }
+  if (redirectedTo) chrome.tabs.update(sess.tabId, { url: redirectedTo }, () => void chrome.runtime.lastError);
+  return { ok: true };
+}
+
+// ------------------ Expiring list entries & access requests ------------------
+// Allow / block entries can expire (profile.listMeta, see patterns.js). They stop
+// matching at once; an alarm at the next expiry removes them from storage and
+// rebuilds the DNR rules. Access requests from the router wait in
+// storage.accessRequests until an admin approves or denies them in Options.
+const LIST_EXPIRY_ALARM = "aipg-list-expiry";
+const ACCESS_REQUESTS_MAX = 200;
+
+// Drops expired entries and their metadata from the local rules -> number removed
+async function expireListEntries() {
+  const { rules } = await getLocal(["rules"]);
+  if (!Array.isArray(rules?.profiles)) return 0;
+  const now = Date.now();
+  let removed = 0;
+  for (const p of rules.profiles) {
+    for (const kind of ["allow", "block"]) {
+      const key = kind === "allow" ? "allowList" : "blockList";
+      const keep = activeListEntries(p, kind, now);
+      const dropped = (p[key] || []).filter(e => !keep.includes(e));
+      if (!dropped.length) continue;
+      p[key] = keep;
+      for (const e of dropped) delete p.listMeta[listMetaKey(kind, e)];
+      removed += dropped.length;
+      await appendLog({ kind: "list_entry_expired", profileId: p.id, list: kind, entries: dropped });
+    }
+  }
+  if (removed) await setLocal({ rules }); // storage.onChanged re-syncs and reschedules
+  return removed;
+}
+
+// One alarm at the soonest future expiry across the effective profiles
+async function scheduleListExpiry() {
+  if (!chrome.alarms) return;
+  if (!rulesCache) await refreshPolicyState();
+  const now = Date.now();
+  let next = Infinity;
+  for (const p of rulesCache?.profiles || []) {
+    for (const m of Object.values(p.listMeta || {})) {
+      if (typeof m?.expiresAt === "number" && m.expiresAt > now) next = Math.min(next, m.expiresAt);
+    }
+  }
+  await chrome.alarms.clear(LIST_EXPIRY_ALARM);
+  if (next !== Infinity) chrome.alarms.create(LIST_EXPIRY_ALARM, { when: next + 1000 });
+}
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name !== LIST_EXPIRY_ALARM) return;
+  expireListEntries()
+    .then(async (removed) => {
+      if (removed) return;
+      // Only managed entries expired: nothing to remove, but DNR must forget them
+      await syncBlockRules();
+      await scheduleListExpiry();
+    })
+    .catch((e) => console.warn("[AIPG] list expiry error:", e));
+});
+
+// Router "Request access": one pending request per host + profile
+async function recordAccessRequest(sess, reason) {
+  const host = hostFromUrl(sess.tabUrl);
+  const profileId = sess.payload.profileId || "";
+  const { accessRequests = [] } = await getLocal(["accessRequests"]);
+  const pending = accessRequests.find(r => r.status === "pending" && r.host === host && r.profileId === profileId);
+  if (pending) return { ok: true, duplicate: true, requestId: pending.id };
+
+  const request = {
+    id: crypto.randomUUID(),
+    host,
+    profileId,
+    reason,
+    requester: await getOrCreateUserId(),
+    role: userRoleCache || "",
+    createdAt: Date.now(),
+    status: "pending"
+  };
+  accessRequests.push(request);
+  await setLocal({ accessRequests: accessRequests.slice(-ACCESS_REQUESTS_MAX) });
+  await appendLog({ kind: "access_requested", host, profileId, requestId: request.id, ...(reason ? { reason } : {}) });
+  return { ok: true, requestId: request.id };
+}
+
+// ------------------ Event log retention (events.js) ------------------
+// rules.logRetentionDays / rules.logMaxEvents bound the IndexedDB event store;
+// applied at boot and hourly.
+const LOG_RETENTION_ALARM = "aipg-log-retention";
+const DEFAULT_LOG_RETENTION_DAYS = 90;
+const DEFAULT_LOG_MAX_EVENTS = 50000;
+
+async function applyLogRetention() {
+  if (!rulesCache) await refreshPolicyState();
+  const days = Number(rulesCache?.logRetentionDays);
+  const max = Number(rulesCache?.logMaxEvents);
+  const limits = {
+    maxAgeDays: Number.isFinite(days) && days >= 0 ? days : DEFAULT_LOG_RETENTION_DAYS,
+    maxEvents: Number.isFinite(max) && max >= 0 ? max : DEFAULT_LOG_MAX_EVENTS
+  };
+  const { removed, ...gap } = await pruneEvents({ ...limits, forwardedSeq: await forwardedSeq() });
+  // The chain now starts at the retention anchor; say why in the log itself (and
+  // what a collector will never receive)
+  if (removed) await appendLog({ kind: "log_pruned", removed, ...limits, ...gap });
+  return removed;
+}
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name !== LOG_RETENTION_ALARM) return;
+  applyLogRetention().catch((e) => console.warn("[AIPG] log retention error:", e));
+});
+
+// Entries from before the event store (storage.local "logs") move over once
+async function migrateLegacyLogs() {
+  const { logs } = await getLocal(["logs"]);
+  if (!Array.isArray(logs)) return;
+  await Promise.all(logs.filter(e => e && typeof e === "object").map(e => addEvent(e)));
+  await new Promise((res) => chrome.storage.local.remove("logs", res));
+}
+
+// ------------------ Log forwarding (collector) ------------------
+// Optional: storage.logForwarding = { enabled, url, token, batchSize }. Events are
+// POSTed in batches as { source: { product, version }, events: [...] } with
+// "Authorization: Bearer <token>". The event store is the durable queue:
+// forwardState.sentSeq is the last event the collector accepted, so nothing is lost
+// offline or across restarts, and failures back off exponentially. A batch whose
+// response was lost is sent again; collectors drop repeats by event id. Retention and
+// "Clear Logs" don't wait for the collector: their log_pruned / log_cleared event
+// carries forwardedSeq and the number of unsent events removed ("unforwarded").
+// Privacy follows each event's profile: trackUsers "off" sends no userId / userRole,
+// otherwise userId goes as a pseudonym; prompt events never carry text ("Full" is
+// local only) and are not sent at all when trackPrompts is "off".
+const FORWARD_ALARM = "aipg-forward";
+const FORWARD_BATCH_DEFAULT = 100;
+const FORWARD_BATCH_MAX = 500;
+const FORWARD_MAX_BATCHES = 20;            // per run; the alarm picks up the rest
+const FORWARD_KICK_MS = 2000;              // after new events, so bursts share a request
+const FORWARD_TIMEOUT_MS = 15 * 1000;
+const FORWARD_BACKOFF_BASE_MS = 30 * 1000; // doubles per consecutive failure
+const FORWARD_BACKOFF_MAX_MS = 60 * 60 * 1000;
+let forwardRun = null;
+let forwardKick = null;
+
+function forwardingUrlError(url) {
+  let u;
+  try { u = new URL(url); } catch { return "Collector URL is not a valid URL"; }
+  if (u.protocol === "https:") return "";
+  if (u.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname)) return ""; // local stand-in
+  return "Collector URL must use https:// (http:// only for localhost)";
+}
+
+async function getForwarding() {
+  const { logForwarding } = await getEffective(["logForwarding"]);
+  const cfg = logForwarding || {};
+  const size = Number(cfg.batchSize);
+  return {
+    enabled: !!cfg.enabled && !!cfg.url,
+    url: String(cfg.url || ""),
+    token: String(cfg.token || ""),
+    batchSize: Number.isInteger(size) && size > 0 ? Math.min(size, FORWARD_BATCH_MAX) : FORWARD_BATCH_DEFAULT
+  };
+}
+
+async function getForwardState() {
+  const { forwardState } = await getLocal(["forwardState"]);
+  return { sentSeq: 0, failures: 0, nextAttemptAt: 0, lastError: "", lastErrorAt: "", lastSuccessAt: "", ...(forwardState || {}) };
+}
+
+// Last forwarded event while forwarding is on, else undefined: retention records how
+// many events it removed before they were sent
+async function forwardedSeq() {
+  const [cfg, state] = await Promise.all([getForwarding(), getForwardState()]);
+  return cfg.enabled ? state.sentSeq : undefined;
+}
+
+// The event as the collector may see it, or null to skip it
+async function forwardedEvent(e) {
+  const profile = rulesCache?.profiles?.find(p => p.id === e.profileId) || getActiveProfileSync(rulesCache);
+  const trackUsers = profile?.trackUsers || "off";
+  const trackPrompts = profile?.trackPrompts || "off";
+  if (e.kind === "prompt" && trackPrompts === "off") return null;
+  const { text, userId, userRole, ...out } = e;
+  if (trackUsers !== "off") {
+    if (userId) out.userId = "anon-" + (await sha256("aipg-forward|" + userId)).slice(0, 32);
+    if (userRole) out.userRole = userRole;
+  }
+  return out;
+}
+
+// -> "" on success, else the error to show in Options
+async function postEvents(cfg, events) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), FORWARD_TIMEOUT_MS);
+  try {
+    const res = await fetch(cfg.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}) },
+      body: JSON.stringify({ source: { product: "AI Privacy Guard Pro", version: chrome.runtime.getManifest().version }, events }),
+      credentials: "omit",
+      cache: "no-store",
+      redirect: "error", // never replay the token to another host
+      signal: ctrl.signal
+    });
+    return res.ok ? "" : `Collector answered HTTP ${res.status}`;
+  } catch (e) {
+    return ctrl.signal.aborted ? "Collector did not answer in time" : `Network error: ${e?.message || e}`;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Not logged as an event: a failing collector would only grow its own queue
+async function recordForwardFailure(state, error) {
+  state.failures = (state.failures || 0) + 1;
+  const delay = Math.min(FORWARD_BACKOFF_BASE_MS * 2 ** (state.failures - 1), FORWARD_BACKOFF_MAX_MS);
+  state.nextAttemptAt = Date.now() + Math.round(delay * (0.8 + Math.random() * 0.4)); // jitter: fleets don't retry in step
+  state.lastError = error;
+  state.lastErrorAt = new Date().toISOString();
+  await setLocal({ forwardState: state });
+  console.warn("[AIPG] forwarding failed:", error);
+  return { ok: false, error, retryAt: state.nextAttemptAt };
+}
+
+// One run at a time; force skips the backoff wait (Send Now, settings change)
+function forwardEvents({ force = false } = {}) {
+  if (forwardRun) return forwardRun;
+  forwardRun = (async () => {
+    const cfg = await getForwarding();
+    if (!cfg.enabled) return { ok: true, skipped: "disabled" };
+    const state = await getForwardState();
+    if (!force && Date.now() < state.nextAttemptAt) return { ok: false, skipped: "backoff", retryAt: state.nextAttemptAt };
+    const urlError = forwardingUrlError(cfg.url);
+    if (urlError) return recordForwardFailure(state, urlError);
+    if (!rulesCache) await refreshPolicyState();
+
+    let sent = 0;
+    for (let i = 0; i < FORWARD_MAX_BATCHES; i++) {
+      const batch = await queryEvents({ afterSeq: state.sentSeq, limit: cfg.batchSize });
+      if (!batch.length) break;
+      const events = (await Promise.all(batch.map(forwardedEvent))).filter(Boolean);
+      if (events.length) {
+        const error = await postEvents(cfg, events);
+        if (error) return recordForwardFailure(state, error);
+      }
+      sent += events.length;
+      Object.assign(state, { sentSeq: batch[batch.length - 1].seq, failures: 0, nextAttemptAt: 0, lastSuccessAt: new Date().toISOString() });
+      await setLocal({ forwardState: state });
+    }
+    return { ok: true, sent };
+  })().finally(() => { forwardRun = null; });
+  return forwardRun;
+}
+
+async function forwardingStatus() {
+  const [cfg, state] = await Promise.all([getForwarding(), getForwardState()]);
+  return {
+    enabled: cfg.enabled,
+    queued: await countEvents(state.sentSeq),
+    lastError: state.lastError,
+    lastErrorAt: state.lastErrorAt,
+    lastSuccessAt: state.lastSuccessAt,
+    retryAt: state.nextAttemptAt > Date.now() ? state.nextAttemptAt : 0
+  };
+}
+
+onEventsAdded(() => {
+  if (forwardKick) return;
+  forwardKick = setTimeout(() => {
+    forwardKick = null;
+    forwardEvents().catch((e) => console.warn("[AIPG] forwarding error:", e));
+  }, FORWARD_KICK_MS);
+});
+
+chrome.alarms?.onAlarm.addListener((alarm) => {
+  if (alarm.name !== FORWARD_ALARM) return;
+  forwardEvents().catch((e) => console.warn("[AIPG] forwarding error:", e));
+});
+
+// ------------------ Pre-navigation blocking (declarativeNetRequest) ------------------
+// The active profile's blockList becomes dynamic redirect rules to blocked.html, so
+// top-level navigations never reach the AI site. Every list entry is translated to a
+// whole-URL regexFilter (patterns.js); priorities follow entry specificity so the
+// same entry wins here as in the router paths, and allow wins ties.
+// Rebuilt on boot and whenever the `rules` storage key changes.
+async function regexSupported(filter) {
+  try {
+    const res = await chrome.declarativeNetRequest.isRegexSupported({
+      regex: filter.regexFilter,
+      isCaseSensitive: filter.caseSensitive
+    });
+    return !!res?.isSupported;
+  } catch { return false; }
+}
+
+async function syncBlockRules() {
+  if (!chrome.declarativeNetRequest) return;
+  if (!rulesCache || userRoleCache == null) await refreshPolicyState();
+  const profile = getActiveProfileSync(rulesCache) || {};
+  const toFilters = (list, type) => [...new Set(list || [])]
+    .map(entry => ({ entry, type, filter: listPatternToRegexFilter(entry) }))
+    .filter(x => x.filter);
+  const block = toFilters(activeListEntries(profile, "block"), "block");
+  const allow = block.length ? toFilters(activeListEntries(profile, "allow"), "allow") : [];
+
+  // Equal specificity shares a rank; allow sits one priority above block at each rank
+  const ranks = [...new Set([...block, ...allow].map(x => x.filter.specificity))].sort((a, b) => a - b);
+  const blockedPage = chrome.runtime.getURL("blocked.html");
+
+  const addRules = [];
+  for (const x of [...block, ...allow]) {
+    if (!await regexSupported(x.filter)) {
+      console.warn("[AIPG] list entry not expressible as a DNR rule, router-only:", x.entry);
+      continue;
+    }
+    const rank = ranks.indexOf(x.filter.specificity) + 1;
+    addRules.push({
+      id: addRules.length + 1,
+      priority: x.type === "allow" ? rank * 2 : rank * 2 - 1,
+      action: x.type === "allow"
+        ? { type: "allow" }
+        : { type: "redirect", redirect: { regexSubstitution: blockedPage + "#\\0" } },
+      condition: {
+        regexFilter: x.filter.regexFilter,
+        isUrlFilterCaseSensitive: x.filter.caseSensitive,
+        resourceTypes: ["main_frame"]
+      }
+    });
+  }
+
+  const existing = await chrome.declarativeNetRequest.getDynamicRules();
+  await chrome.declarativeNetRequest.updateDynamicRules({
+    removeRuleIds: existing.map(r => r.id),
+    addRules
+  });
 }
 
 // ------------------ Immediate re-eval after policy change ------------------
 async function forceReevaluateAndPrompt(tabs) {
-  const { rules } = await getLocal(["rules"]);
-  if (rules) rulesCache = rules;
+  await refreshPolicyState();
   const profile = getActiveProfileSync(rulesCache);
 
   for (const t of tabs) {
     try {
       if (!t?.id || !t?.url || !isHttpUrl(t.url)) continue;
       const host = hostFromUrl(t.url);
-      if (!host || !isAiDomainHost(host)) continue;
+      if (!host || !isAiDomainUrl(t.url)) continue;
 
-      const allow = isHostInList(host, profile.allowList || []);
-      const block = isHostInList(host, profile.blockList || []);
-      if (allow) continue; // explicitly allowed -> no prompt
+      const lists = listVerdict(t.url, profile);
+      const block = lists.verdict === "block";
 
       const ctx = {
         isAiDomain: true,
@@ -225,21 +1079,20 @@ async function forceReevaluateAndPrompt(tabs) {
         isInternalSite: isInternal(t.url),
         blocklisted: !!block
       };
-      let risk = computeRiskScore(ctx, profile);
-      if (block) risk = 100;
-
-      const promptOk = shouldPromptForProfile(profile, { isBlocklisted: block });
-      if (!promptOk) continue;
+      const risk = computeRiskScore(ctx, profile);
+      const decision = await decidePolicy(profile, { url: t.url, trigger: "navigation", ctx, risk, lists });
+      if (decision.action === "allow") continue;
 
       // bypass cooldown/consent just-cleared? We still use shouldOpenRouter to avoid immediate dup if any
-      if (!shouldOpenRouter(t.id, host)) continue;
+      if (!(await shouldOpenRouter(t.id, host, profile))) continue;
 
       await safeOpenRouter(t.id, t.url, {
         type: "OPEN_ROUTER",
-        reason: block ? "This site is blocked by policy" : "AI domain detected",
+        reason: decision.message || "AI domain detected",
         context: ctx,
         risk,
-        profileId: profile.id
+        profileId: profile.id,
+        policy: policyPayload(decision, profile)
       });
 
       await appendLog({
@@ -248,7 +1101,9 @@ async function forceReevaluateAndPrompt(tabs) {
         risk,
         profileId: profile.id,
         host,
-        triggeredBy: "RULES_UPDATED"
+        triggeredBy: "RULES_UPDATED",
+        policyAction: decision.action,
+        policyRuleId: decision.ruleId
       });
     } catch { /* ignore this tab */ }
   }
@@ -257,21 +1112,23 @@ async function forceReevaluateAndPrompt(tabs) {
 // ------------------ Domain detection ------------------
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   try {
+    if (changeInfo.url) { // top-level navigation: frames and API calls start over
+      tabContexts.delete(tabId);
+      tabApiCalls.delete(tabId);
+    }
     if (changeInfo.status !== "complete" || !tab?.url) return;
     if (!isHttpUrl(tab.url)) return;
     if (!aiDomainsCache?.length) await ensureBoot();
 
     const host = hostFromUrl(tab.url);
-    const isAi = isAiDomainHost(host);
+    const isAi = isAiDomainUrl(tab.url);
     if (!isAi) return;
 
-    const { rules } = await getLocal(["rules"]);
-    if (rules) rulesCache = rules;
+    await refreshPolicyState();
     const profile = getActiveProfileSync(rulesCache);
 
-    const allow = isHostInList(host, profile.allowList || []);
-    const block = isHostInList(host, profile.blockList || []);
-    if (allow) return;
+    const lists = listVerdict(tab.url, profile);
+    const block = lists.verdict === "block";
 
     const ctx = {
       isAiDomain: true,
@@ -280,20 +1137,19 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       isInternalSite: isInternal(tab.url),
       blocklisted: !!block
     };
-    let risk = computeRiskScore(ctx, profile);
-    if (block) risk = 100; // Blocklist override in domain path
-
-    const promptOk = shouldPromptForProfile(profile, { isBlocklisted: block });
-    if (!promptOk) return;
+    const risk = computeRiskScore(ctx, profile);
+    const decision = await decidePolicy(profile, { url: tab.url, trigger: "navigation", ctx, risk, lists });
+    if (decision.action === "allow") return;
 
-    if (!shouldOpenRouter(tabId, host)) return;
+    if (!(await shouldOpenRouter(tabId, host, profile))) return;
 
     await safeOpenRouter(tabId, tab.url, {
       type: "OPEN_ROUTER",
-      reason: block ? "This site is blocked by policy" : "AI domain detected",
+      reason: decision.message || "AI domain detected",
       context: ctx,
       risk,
-      profileId: profile.id
+      profileId: profile.id,
+      policy: policyPayload(decision, profile)
     });
 
     await appendLog({
@@ -302,103 +1158,416 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
       risk,
       profileId: profile.id,
       host,
-      blocked: !!block
+      blocked: decision.action === "block",
+      policyAction: decision.action,
+      policyRuleId: decision.ruleId
     });
   } catch (e) {
     console.warn("[AIPG] onUpdated error:", e);
   }
 });
 
+chrome.tabs.onRemoved.addListener((tabId) => {
+  tabContexts.delete(tabId);
+  tabApiCalls.delete(tabId);
+  for (const [id, sess] of routerSessions) if (sess.tabId === tabId) routerSessions.delete(id);
+  forgetTabRouterState(tabId).catch(() => {});
+});
+
+// ------------------ Background AI API calls (webRequest) ------------------
+// Pages that call AI provider APIs directly (fetch / XHR / beacon / WebSocket) are
+// attributed to the initiating tab and site. The first call per tab + API host is
+// logged and may open the router; later ones only bump the count in the tab context.
+// Only hosts are recorded: API URLs can carry keys in their query strings.
+const AI_API_REQUEST_TYPES = ["xmlhttprequest", "ping", "websocket", "other"];
+const aiApiHosts = AI_API_HOSTS           // data/ai_api_hosts.js: [{ host, provider }]
+  .map(e => ({ host: normalizeHostEntry(e?.host), provider: String(e?.provider || "") }))
+  .filter(e => e.host);
+
+function findAiApiHost(host) {
+  return aiApiHosts.find(e => hostMatchesEntry(host, e.host)) || null;
+}
+
+async function noteAiApiCall(details) {
+  const tabId = details.tabId;
+  if (tabId == null || tabId < 0) return;
+
+  const api = findAiApiHost(hostFromUrl(details.url));
+  if (!api) return;
+  const initiator = details.initiator || "";
+  if (!isHttpUrl(initiator)) return;                    // extension pages, opaque origins
+  const initiatorHost = hostFromUrl(initiator);
+  if (hostMatchesEntry(initiatorHost, api.host)) return; // the provider's own console
+
+  let calls = tabApiCalls.get(tabId);
+  if (!calls) { calls = new Map(); tabApiCalls.set(tabId, calls); }
+  const seen = calls.get(api.host);
+  if (seen) { seen.count++; return; }
+  calls.set(api.host, { host: api.host, provider: api.provider, initiator: initiatorHost, count: 1 });
+
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  const tabUrl = tab?.url || "";
+  if (!isHttpUrl(tabUrl)) return;
+  const host = hostFromUrl(tabUrl);
+  if (!aiDomainsCache?.length) await ensureBoot();
+
+  const profile = await getActiveProfile();
+  const lists = listVerdict(tabUrl, profile);
+  const block = lists.verdict === "block";
+  const merged = mergedTabContext(tabId);
+
+  const ctx = {
+    isAiDomain: isAiDomainUrl(tabUrl),
+    aiUiSignals: merged.signals,
+    aiUiConfidence: merged.aiUiConfidence,
+    sensitiveFields: merged.sensitiveFields,
+    contentFindings: merged.contentFindings,
+    aiApiCalls: merged.aiApiCalls,
+    frames: merged.frames,
+    isInternalSite: isInternal(tabUrl),
+    blocklisted: !!block
+  };
+  const risk = computeRiskScore(ctx, profile);
+  // Presets allow API traffic on AI domains: the domain router already asked
+  const decision = await decidePolicy(profile, { url: tabUrl, trigger: "api", ctx, risk, lists });
+  const route = decision.action !== "allow" && await shouldOpenRouter(tabId, host, profile);
+
+  if (route) {
+    await safeOpenRouter(tabId, tabUrl, {
+      type: "OPEN_ROUTER",
+      reason: decision.message
+        || `This site sends data to an AI provider${api.provider ? ` (${api.provider})` : ""}`,
+      context: ctx,
+      risk,
+      profileId: profile.id,
+      policy: policyPayload(decision, profile)
+    });
+  }
+
+  await appendLog({
+    kind: "ai_api_call",
+    tabUrl, host,
+    initiator: initiatorHost,
+    apiHost: api.host,
+    provider: api.provider,
+    requestType: details.type,
+    method: details.method || "",
+    routed: route,
+    risk, profileId: profile.id,
+    blocklisted: !!block,
+    policyAction: decision.action,
+    policyRuleId: decision.ruleId
+  });
+}
+
+function onAiApiRequest(details) {
+  noteAiApiCall(details).catch((e) => console.warn("[AIPG] noteAiApiCall error:", e));
+}
+
+// Catalogue host -> URL patterns for it and its subdomains (WebSocket schemes spelled out)
+function aiApiUrlPatterns(hosts) {
+  return hosts.flatMap(e => ["*", "ws", "wss"].flatMap(scheme => [`${scheme}://${e.host}/*`, `${scheme}://*.${e.host}/*`]));
+}
+
+// Registered synchronously so requests wake the service worker; the filter lists only
+// catalogue hosts, so other requests never do
+chrome.webRequest?.onBeforeRequest.addListener(onAiApiRequest, { urls: aiApiUrlPatterns(aiApiHosts), types: AI_API_REQUEST_TYPES });
+
 // ------------------ Message hub ------------------
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
       // In‑page AI detection
+      // Signals from every frame are merged per tab; policy is keyed to the tab's
+      // top-level site and the single router is shown in the top frame.
       if (msg.type === "AI_UI_DETECTED") {
         const pageUrl = msg.pageUrl || sender?.tab?.url || "";
         if (!isHttpUrl(pageUrl)) { sendResponse?.({ ok:true, suppressed:true }); return; }
 
-        const host = hostFromUrl(pageUrl);
+        const tabId = sender?.tab?.id ?? -1;
+        const frameId = sender?.frameId || 0;
+        const tabUrl = (sender?.tab?.url && isHttpUrl(sender.tab.url)) ? sender.tab.url : pageUrl;
+        const host = hostFromUrl(tabUrl);
 
-        const { rules } = await getLocal(["rules"]);
-        if (rules) rulesCache = rules;
-        const profile = getActiveProfileSync(rulesCache);
+        recordFrameSignals(tabId, frameId, {
+          url: pageUrl,
+          host: hostFromUrl(pageUrl),
+          signals: (msg.signals || []).slice(0, 10),
+          aiUiConfidence: clampConfidence(msg.aiUiConfidence),
+          sensitiveFields: msg.sensitiveFields || {},
+          contentFindings: normalizeFindings(msg.contentFindings)
+        });
+        const merged = mergedTabContext(tabId);
 
-        const allow = isHostInList(host, profile.allowList || []);
-        const block = isHostInList(host, profile.blockList || []);
+        await refreshPolicyState();
+        const profile = getActiveProfileSync(rulesCache);
 
-        if (allow) {
-          await appendLog({ kind: "ui_detected_suppressed", pageUrl, host });
-          sendResponse?.({ ok: true, suppressed: true });
-          return;
-        }
+        const lists = listVerdict(tabUrl, profile);
+        const block = lists.verdict === "block"
+          || merged.frames.some(f => listVerdict(f.url, profile).verdict === "block");
 
-        const isAi = (typeof msg.isAiDomainFromContent === "boolean")
+        const isAi = (frameId === 0 && typeof msg.isAiDomainFromContent === "boolean")
           ? msg.isAiDomainFromContent
-          : isAiDomainHost(host);
+          : isAiDomainUrl(tabUrl);
 
+        const findings = merged.contentFindings;
         const ctx = {
           isAiDomain: isAi,
-          aiUiSignals: msg.signals || [],
-          sensitiveFields: msg.sensitiveFields || {},
-          isInternalSite: isInternal(pageUrl),
+          aiUiSignals: merged.signals,
+          aiUiConfidence: merged.aiUiConfidence,
+          sensitiveFields: merged.sensitiveFields,
+          contentFindings: findings,
+          aiApiCalls: merged.aiApiCalls,
+          frames: merged.frames,
+          isInternalSite: isInternal(tabUrl),
           blocklisted: !!block
         };
-        let risk = computeRiskScore(ctx, profile);
-        if (block) risk = 100; // Blocklist override also in UI path
+        const risk = computeRiskScore(ctx, profile);
+        const decision = await decidePolicy(profile, { url: tabUrl, trigger: "ui", ctx, risk, lists });
 
-        const promptOk = shouldPromptForProfile(profile, { isBlocklisted: block });
-        if (!promptOk) { sendResponse?.({ ok: true, suppressed: true }); return; }
+        if (decision.action === "allow") {
+          await appendLog({ kind: "ui_detected_suppressed", pageUrl, host, policyAction: decision.action, policyRuleId: decision.ruleId });
+          sendResponse?.({ ok: true, suppressed: true });
+          return;
+        }
 
-        if (!shouldOpenRouter(sender?.tab?.id ?? -1, host)) {
+        if (!(await shouldOpenRouter(tabId, host, profile))) {
           sendResponse?.({ ok: true, suppressed: true });
           return;
         }
 
-        await safeOpenRouter(sender.tab.id, pageUrl, {
+        await safeOpenRouter(tabId, tabUrl, {
           type: "OPEN_ROUTER",
-          reason: block ? "This site is blocked by policy" : "In‑app AI detected",
+          reason: decision.message || "In‑app AI detected",
           context: ctx,
           risk,
-          profileId: profile.id
+          profileId: profile.id,
+          policy: policyPayload(decision, profile)
         });
 
         await appendLog({
           kind: "ui_detected",
           pageUrl, host,
-          signals: (msg.signals || []).slice(0, 5),
-          sensitive: msg.sensitiveFields || {},
+          signals: merged.signals.slice(0, 5),
+          aiUiConfidence: merged.aiUiConfidence,
+          sensitive: merged.sensitiveFields,
+          findings,
+          frames: merged.frames.map(f => f.host),
           risk, profileId: profile.id,
-          blocklisted: !!block
+          blocklisted: !!block,
+          policyAction: decision.action,
+          policyRuleId: decision.ruleId
         });
 
         sendResponse?.({ ok: true });
         return;
       }
 
-      // Router decision (Proceed / Cancel)
+      // Router decision (Proceed / Cancel / ...), trusted only from router.html
       if (msg.type === "ROUTER_DECISION") {
+        // Block page "Use Approved AI" link: an extension page, and it only ever redirects.
+        // What was blocked, the profile, risk and target are worked out here, not taken from the message.
+        if (isExtensionPage(sender, "blocked.html")) {
+          const { approvedAiUrl } = await getEffective(["approvedAiUrl"]);
+          const redirectedTo = String(approvedAiUrl || "").trim();
+          if (msg.decision === "redirect" && redirectedTo) {
+            const { blockedUrl, profile, risk } = await blockPageContext(sender);
+            await appendLog({
+              kind: "router_decision",
+              decision: "redirect",
+              reason: "This site is blocked by policy",
+              tabUrl: blockedUrl,
+              host: hostFromUrl(blockedUrl),
+              risk,
+              profileId: profile?.id,
+              trigger: "block_page",
+              pinVerified: false,
+              policyAction: "block",
+              policyRuleId: "blocklist",
+              redirectedTo
+            });
+          }
+          sendResponse?.({ ok: true });
+          return;
+        }
+
+        const session = routerSessionFor(sender, msg.routerId);
+        if (!session) {
+          // Genuine router whose session is gone (worker restart): let it close
+          if (isExtensionPage(sender, "router.html") && msg.decision === "dismiss" && sender.tab?.id != null) {
+            chrome.tabs.sendMessage(sender.tab.id, { type: "ROUTER_DECIDED", routerId: String(msg.routerId || ""), decision: "dismiss" }, () => void chrome.runtime.lastError);
+          } else {
+            await appendLog({
+              kind: "router_decision_rejected",
+              decision: String(msg.decision || ""),
+              tabUrl: sender?.tab?.url || "",
+              host: hostFromUrl(sender?.tab?.url || ""),
+              reason: "untrusted sender or unknown router"
+            });
+          }
+          sendResponse?.({ ok: false, error: "Unknown router" });
+          return;
+        }
+        sendResponse?.(await applyRouterDecision(String(msg.routerId), session, msg));
+        return;
+      }
+
+      // "Request access" from the router; an admin decides in Options
+      if (msg.type === "REQUEST_ACCESS") {
+        const session = routerSessionFor(sender, msg.routerId);
+        if (!session) { sendResponse?.({ ok: false, error: "Unknown router" }); return; }
+        const reason = maskSensitive(String(msg.reason || "").slice(0, 4 * JUSTIFICATION_MAX_CHARS).trim()).slice(0, JUSTIFICATION_MAX_CHARS);
+        sendResponse?.(await recordAccessRequest(session, reason));
+        return;
+      }
+
+      // router.html asks what it is deciding
+      if (msg.type === "ROUTER_SESSION") {
+        const session = routerSessionFor(sender, msg.routerId);
+        if (!session) { sendResponse?.({ ok: false }); return; }
+        await refreshPolicyState();
+        const [{ approvedAiUrl }, managed] = await Promise.all([getEffective(["approvedAiUrl"]), getManaged()]);
+        sendResponse?.({
+          ok: true,
+          payload: session.payload,
+          approvedAiUrl: String(approvedAiUrl || "").trim(),
+          overridesEnabled: !!rulesCache?.overrideSecret,
+          managed: managedPaths(managed)
+        });
+        return;
+      }
+
+      // Paste / drop / file upload into an AI prompt area (metadata only).
+      // Held transfers get a router unless the policy allows them: the profile asked
+      // for an explicit decision, so consent/cooldown don't apply.
+      if (msg.type === "TRANSFER_EVENT") {
+        const pageUrl = msg.pageUrl || sender?.tab?.url || "";
+        if (!isHttpUrl(pageUrl)) { sendResponse?.({ ok: true, route: false }); return; }
+
+        const host = hostFromUrl(pageUrl);
+        await refreshPolicyState();
+        const profile = getActiveProfileSync(rulesCache);
+
+        const lists = listVerdict(pageUrl, profile);
+        const block = lists.verdict === "block";
+        const transfer = normalizeTransfer(msg.transfer);
+        transfer.sensitive = isSensitiveTransfer(transfer, profile.largeTransferBytes);
+
+        const ctx = {
+          isAiDomain: (typeof msg.isAiDomainFromContent === "boolean") ? msg.isAiDomainFromContent : isAiDomainUrl(pageUrl),
+          aiUiSignals: msg.signals || [],
+          aiUiConfidence: clampConfidence(msg.aiUiConfidence),
+          sensitiveFields: {},
+          contentFindings: transfer.findings,
+          transfer,
+          frames: [{ frameId: sender?.frameId || 0, host, top: !sender?.frameId }],
+          isInternalSite: isInternal(pageUrl),
+          blocklisted: !!block
+        };
+        const risk = computeRiskScore(ctx, profile);
+        const decision = await decidePolicy(profile, { url: pageUrl, trigger: transfer.kind, ctx, risk, lists });
+        const route = !!msg.held && decision.action !== "allow";
+
         await appendLog({
-          kind: "router_decision",
-          decision: msg.decision,
-          reason: msg.reason,
-          tabUrl: msg.tabUrl,
-          risk: msg.risk,
-          profileId: msg.profileId,
-          pinVerified: !!msg.pinVerified
+          kind: transfer.kind,
+          pageUrl, host,
+          fileCount: transfer.fileCount,
+          bytes: transfer.bytes,
+          mimeTypes: transfer.mimeTypes,
+          extensions: transfer.extensions,
+          categories: transfer.categories,
+          findings: transfer.findings,
+          sensitive: transfer.sensitive,
+          held: !!msg.held,
+          routed: route,
+          risk, profileId: profile.id,
+          blocklisted: !!block,
+          policyAction: decision.action,
+          policyRuleId: decision.ruleId
         });
 
-        // Grant consent window ONLY on Proceed
-        if (msg.decision === "proceed") {
-          const host = hostFromUrl(msg.tabUrl || "");
-          if (host && sender?.tab?.id != null) {
-            const key = `${sender.tab.id}|${host}`;
-            const now = Date.now();
-            consentMap.set(key, { allowedUntil: now + CONSENT_TTL_MS });
-          }
+        const payload = {
+          reason: decision.message || transferReason(transfer),
+          context: ctx,
+          risk,
+          profileId: profile.id,
+          policy: policyPayload(decision, profile)
+        };
+        if (route && await relayHeldRouter(sender, msg, payload)) {
+          sendResponse?.({ ok: true, relayed: true });
+          return;
         }
+        const routerId = route && sender?.tab?.id != null
+          ? createRouterSession(sender.tab.id, sender.frameId, sender.tab.url || pageUrl, { ...payload, trigger: msg.trigger || "" })
+          : "";
+        sendResponse?.({ ok: true, route, ...payload, routerId });
+        return;
+      }
 
-        sendResponse?.({ ok: true });
+      // Held prompt submission (Enter / send button / form submit).
+      // Route unless the policy allows it; a consent window (earlier Proceed on this
+      // tab's site) quiets plain warnings and the high-risk PIN gate that Proceed
+      // already passed, but never prompts about sensitive content.
+      if (msg.type === "PROMPT_SUBMIT") {
+        const pageUrl = msg.pageUrl || sender?.tab?.url || "";
+        if (!isHttpUrl(pageUrl)) { sendResponse?.({ ok: true, route: false }); return; }
+
+        const host = hostFromUrl(pageUrl);
+        await refreshPolicyState();
+        const profile = getActiveProfileSync(rulesCache);
+
+        const lists = listVerdict(pageUrl, profile);
+        const block = lists.verdict === "block";
+        const findings = normalizeFindings(msg.findings);
+        const hasFindings = Object.keys(findings).length > 0;
+
+        const ctx = {
+          isAiDomain: (typeof msg.isAiDomainFromContent === "boolean") ? msg.isAiDomainFromContent : isAiDomainUrl(pageUrl),
+          aiUiSignals: msg.signals || [],
+          aiUiConfidence: clampConfidence(msg.aiUiConfidence),
+          sensitiveFields: {},
+          contentFindings: findings,
+          frames: [{ frameId: sender?.frameId || 0, host, top: !sender?.frameId }],
+          isInternalSite: isInternal(pageUrl),
+          blocklisted: !!block
+        };
+        const risk = computeRiskScore(ctx, profile);
+        const decision = await decidePolicy(profile, { url: pageUrl, trigger: "submit", ctx, risk, lists });
+
+        let route = decision.action !== "allow";
+        if (route && (decision.action === "warn" || decision.action === "pin") && !hasFindings) {
+          route = !(await hasConsent(sender?.tab?.id ?? -1, hostFromUrl(sender?.tab?.url || pageUrl))); // consent is keyed to the tab's site
+        }
+
+        await appendLog({
+          kind: "prompt_submit",
+          via: ["enter", "button", "form"].includes(msg.via) ? msg.via : "",
+          pageUrl, host,
+          length: Math.max(0, Number(msg.length) || 0),
+          findings,
+          routed: route,
+          risk, profileId: profile.id,
+          blocklisted: !!block,
+          policyAction: decision.action,
+          policyRuleId: decision.ruleId
+        });
+
+        const payload = {
+          reason: decision.message
+            || (hasFindings ? "Sensitive content in prompt" : "Prompt submission to AI"),
+          context: ctx,
+          risk,
+          profileId: profile.id,
+          policy: policyPayload(decision, profile)
+        };
+        if (route && await relayHeldRouter(sender, msg, payload)) {
+          sendResponse?.({ ok: true, relayed: true });
+          return;
+        }
+        const routerId = route && sender?.tab?.id != null
+          ? createRouterSession(sender.tab.id, sender.frameId, sender.tab.url || pageUrl, { ...payload, trigger: msg.trigger || "" })
+          : "";
+        sendResponse?.({ ok: true, route, ...payload, routerId });
         return;
       }
 
@@ -407,21 +1576,106 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const pageUrl = msg.tabUrl || sender?.tab?.url || "";
         if (!isHttpUrl(pageUrl)) { sendResponse?.({ ok:true }); return; }
 
-        const { rules } = await getLocal(["rules"]);
-        if (rules) rulesCache = rules;
+        await refreshPolicyState();
         const profile = getActiveProfileSync(rulesCache);
         const mode = profile.trackPrompts || "off";
 
-        const entry = { kind: "prompt", mode, pageUrl, length: msg.text ? msg.text.length : 0 };
+        // Findings are counts only; matched values never reach the log
+        const entry = {
+          kind: "prompt", mode, pageUrl, host: hostFromUrl(pageUrl),
+          length: msg.text ? msg.text.length : 0,
+          findings: msg.text ? classifyText(String(msg.text)).counts : {}
+        };
         if (mode === "anonymized" && msg.text) entry.hash = await sha256(msg.text);
-        else if (mode === "full" && msg.text) entry.text = String(msg.text).slice(0, 2000);
+        else if (mode === "full" && msg.text) entry.text = maskSensitive(String(msg.text)).slice(0, 2000);
 
         await appendLog(entry);
         sendResponse?.({ ok: true });
         return;
       }
 
+      // blocked.html loaded after a declarativeNetRequest redirect (only that page may report it)
+      if (msg.type === "BLOCK_PAGE_SHOWN") {
+        if (!isExtensionPage(sender, "blocked.html")) { sendResponse?.({ ok: false, error: "Untrusted sender" }); return; }
+        const { blockedUrl, profile, lists, risk } = await blockPageContext(sender);
+        await appendLog({
+          kind: "navigation_blocked",
+          tabUrl: blockedUrl,
+          host: hostFromUrl(blockedUrl),
+          risk,
+          profileId: profile?.id,
+          blocked: true,
+          listEntry: lists.blockEntry,
+          policyAction: "block",
+          policyRuleId: "blocklist"
+        });
+        sendResponse?.({ ok: true, risk, listEntry: lists.blockEntry });
+        return;
+      }
+
       // Directory / options helpers
+      if (msg.type === "GET_DETECTION_RULES") {
+        if (!detectionRulesCache) await loadDetectionRules();
+        sendResponse?.({ rules: detectionRulesCache });
+        return;
+      }
+
+      // Admin PIN check for the router (managed PIN wins over the local one);
+      // a success unlocks Proceed on that router session only
+      if (msg.type === "VERIFY_PIN") {
+        const session = routerSessionFor(sender, msg.routerId);
+        if (!session) { sendResponse?.({ ok: false, error: "Unknown router" }); return; }
+        const res = await checkAdminPin(msg.pin, "router", hostFromUrl(session.tabUrl));
+        if (res.ok) session.pinVerified = true;
+        sendResponse?.(res);
+        return;
+      }
+
+      // Helpdesk override code typed into the router; bound to the tab's host
+      if (msg.type === "VERIFY_OVERRIDE") {
+        const session = routerSessionFor(sender, msg.routerId);
+        if (!session) { sendResponse?.({ ok: false, error: "Unknown router" }); return; }
+        const res = await checkOverrideCode(msg.code, hostFromUrl(session.tabUrl));
+        if (res.ok) Object.assign(session, { pinVerified: true, overrideId: res.overrideId });
+        sendResponse?.(res);
+        return;
+      }
+
+      // Options: forwarding queue depth / last error, and "Send Now"
+      if (msg.type === "FORWARDING_STATUS" || msg.type === "FORWARD_NOW") {
+        if (!isExtensionPage(sender, "options.html")) { sendResponse?.({ ok: false, error: "Not allowed" }); return; }
+        const run = msg.type === "FORWARD_NOW" ? await forwardEvents({ force: true }) : null;
+        sendResponse?.({ ok: true, run, status: await forwardingStatus() });
+        return;
+      }
+
+      // Options page only; an existing PIN must be entered to change or remove it
+      if (msg.type === "SET_ADMIN_PIN") {
+        if (!isExtensionPage(sender, "options.html")) { sendResponse?.({ ok: false, error: "Not allowed" }); return; }
+        const managed = await getManaged();
+        if (managedPaths(managed).includes("rules.adminPinHash")) {
+          sendResponse?.({ ok: false, error: "The Admin PIN is managed by your organization" });
+          return;
+        }
+        const newPin = String(msg.newPin || "");
+        if (newPin && newPin.length < 4) { sendResponse?.({ ok: false, error: "Use at least 4 characters" }); return; }
+
+        await refreshPolicyState();
+        if (rulesCache?.adminPinHash) {
+          const res = await checkAdminPin(msg.currentPin, "options", "");
+          if (!res.ok) { sendResponse?.(res); return; }
+        }
+        const { rules } = await getLocal(["rules"]);
+        const next = { ...(rules || {}) };
+        delete next.adminPin;
+        if (newPin) next.adminPinHash = await hashPin(newPin);
+        else delete next.adminPinHash;
+        await setLocal({ rules: next });
+        await appendLog({ kind: "pin_changed", source: "options", removed: !newPin });
+        sendResponse?.({ ok: true, pinSet: !!newPin });
+        return;
+      }
+
       if (msg.type === "REQUEST_AI_DOMAINS") {
         if (!aiDomainsCache?.length) await ensureBoot();
         sendResponse?.({ domains: aiDomainsCache });
@@ -429,10 +1683,18 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       }
 
       if (msg.type === "GET_PROFILE") {
-        const { rules } = await getLocal(["rules"]);
-        if (rules) rulesCache = rules;
+        await refreshPolicyState();
         const profile = getActiveProfileSync(rulesCache);
-        sendResponse?.({ profile });
+        const [{ approvedAiUrl }, managed] = await Promise.all([getEffective(["approvedAiUrl"]), getManaged()]);
+        sendResponse?.({
+          profile,
+          role: userRoleCache || "",
+          byRole: !!profile && roleProfileId(rulesCache, userRoleCache) === profile.id,
+          approvedAiUrl: approvedAiUrl || "",
+          pinSet: !!rulesCache?.adminPinHash,
+          overridesEnabled: !!rulesCache?.overrideSecret,
+          managed: managedPaths(managed)
+        });
         return;
       }
 
@@ -0,0 +1,47 @@
+// blocked.js — extension block page (target of declarativeNetRequest redirects)
+// URL shape: blocked.html#<original url>
+(async function(){
+  const $ = (s) => document.querySelector(s);
+  const blockedUrl = location.hash.slice(1); // inserted verbatim by the redirect rule
+
+  let host = "";
+  try { host = new URL(blockedUrl).hostname; } catch { /* malformed */ }
+  $("#host").textContent = host || "this site";
+  $("#url").textContent = blockedUrl;
+
+  const { profile, role, byRole, approvedAiUrl } = await new Promise(res => chrome.runtime.sendMessage({ type: "GET_PROFILE" }, (r) => {
+    void chrome.runtime.lastError;
+    res(r || {});
+  }));
+  if (profile) $("#profile").textContent = `Policy: ${profile.name || profile.id}` + (byRole ? ` (role: ${role})` : "");
+
+  fetch(chrome.runtime.getURL("assets/tips.json"))
+    .then(r => r.json())
+    .then(tips => { $("#tip").textContent = "Tip: " + tips[Math.floor(Math.random() * tips.length)]; })
+    .catch(() => {});
+
+  // Background reads the blocked URL from this page's address, not from the message
+  const shown = await new Promise(res => chrome.runtime.sendMessage({ type: "BLOCK_PAGE_SHOWN" }, (r) => {
+    void chrome.runtime.lastError;
+    res(r || {});
+  }));
+  $("#risk").textContent = `Risk: ${Number(shown.risk) || 0}`;
+  if (shown.listEntry) $("#profile").textContent += ` · blocklist entry “${shown.listEntry}”`;
+
+  const approved = (approvedAiUrl || "").trim();
+  if (approved) {
+    const a = $("#approved");
+    a.href = approved;
+    a.hidden = false;
+    a.onclick = () => {
+      chrome.runtime.sendMessage({ type: "ROUTER_DECISION", decision: "redirect" }, () => void chrome.runtime.lastError);
+    };
+  } else {
+    $("#noApproved").hidden = false;
+  }
+
+  $("#back").onclick = () => {
+    if (history.length > 1) history.back();
+    else window.close();
+  };
+})();
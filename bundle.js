@@ -0,0 +1,108 @@
+// bundle.js (classic, guarded assignments)
+// Signed policy bundles: a portable copy of the configuration for admins who cannot
+// push chrome.storage.managed. Signed with ECDSA P-256 / SHA-256 (WebCrypto) over the
+// canonical JSON of the payload; verified against the public keys pinned in
+// data/policy_keys.json ({ "keys": [{ "kid", "jwk" }] }) before anything is applied.
+//
+// Bundle: { format, version, kid, createdAt, payload, signature (base64, raw r||s) }
+// Payload: { rules: { profiles, selectedProfileId, roleProfiles }, customDomains, approvedAiUrl }
+// The admin PIN is never part of a bundle.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const FORMAT = "aipg-policy-bundle";
+  const VERSION = 1;
+  const ALG = { name: "ECDSA", namedCurve: "P-256" };
+  const SIGN_ALG = { name: "ECDSA", hash: "SHA-256" };
+
+  // Signed bytes do not depend on key order (utils.js)
+  const canonicalJson = (v) => self.AIPG.canonicalJson(v);
+
+  function toB64(buf) {
+    let s = "";
+    for (const b of new Uint8Array(buf)) s += String.fromCharCode(b);
+    return btoa(s);
+  }
+
+  function fromB64(s) {
+    const bin = atob(String(s));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function payloadError(p) {
+    if (!p || typeof p !== "object") return "Bundle has no payload";
+    if (!p.rules || !Array.isArray(p.rules.profiles) || !p.rules.profiles.length) return "Bundle has no profiles";
+    if (p.rules.profiles.some(x => !x || !x.id)) return "Bundle has a profile without an id";
+    if (p.customDomains != null && !Array.isArray(p.customDomains)) return "customDomains must be an array";
+    if (p.approvedAiUrl != null && typeof p.approvedAiUrl !== "string") return "approvedAiUrl must be a string";
+    return "";
+  }
+
+  if (!self.AIPG.buildPolicyPayload) {
+    self.AIPG.buildPolicyPayload = function buildPolicyPayload({ rules, customDomains, approvedAiUrl }) {
+      const r = rules || {};
+      return {
+        rules: {
+          profiles: r.profiles || [],
+          selectedProfileId: r.selectedProfileId || "",
+          roleProfiles: r.roleProfiles || {}
+        },
+        customDomains: customDomains || [],
+        approvedAiUrl: approvedAiUrl || ""
+      };
+    };
+  }
+
+  // -> { publicJwk, privateJwk, kid }; kid is the first 16 hex chars of sha256(public key)
+  if (!self.AIPG.generateBundleKeyPair) {
+    self.AIPG.generateBundleKeyPair = async function generateBundleKeyPair() {
+      const pair = await crypto.subtle.generateKey(ALG, true, ["sign", "verify"]);
+      const publicJwk = await crypto.subtle.exportKey("jwk", pair.publicKey);
+      const privateJwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+      const kid = (await self.AIPG.sha256(canonicalJson({ crv: publicJwk.crv, kty: publicJwk.kty, x: publicJwk.x, y: publicJwk.y }))).slice(0, 16);
+      return { publicJwk: { ...publicJwk, kid }, privateJwk: { ...privateJwk, kid }, kid };
+    };
+  }
+
+  if (!self.AIPG.signPolicyBundle) {
+    self.AIPG.signPolicyBundle = async function signPolicyBundle(payload, privateJwk) {
+      const err = payloadError(payload);
+      if (err) throw new Error(err);
+      if (!privateJwk || privateJwk.kty !== "EC" || !privateJwk.d) throw new Error("Not an ECDSA private key (JWK)");
+      const { kid, key_ops, ext, ...jwk } = privateJwk;
+      const key = await crypto.subtle.importKey("jwk", jwk, ALG, false, ["sign"]);
+      const sig = await crypto.subtle.sign(SIGN_ALG, key, new TextEncoder().encode(canonicalJson(payload)));
+      return { format: FORMAT, version: VERSION, kid: kid || "", createdAt: new Date().toISOString(), payload, signature: toB64(sig) };
+    };
+  }
+
+  // pinnedKeys: [{ kid, jwk }] -> { ok: true, payload } | { ok: false, reason }
+  if (!self.AIPG.verifyPolicyBundle) {
+    self.AIPG.verifyPolicyBundle = async function verifyPolicyBundle(bundle, pinnedKeys) {
+      if (!bundle || typeof bundle !== "object" || bundle.format !== FORMAT) return { ok: false, reason: "Not a policy bundle" };
+      if (bundle.version !== VERSION) return { ok: false, reason: `Unsupported bundle version ${bundle.version}` };
+      if (!bundle.signature) return { ok: false, reason: "Bundle is not signed" };
+      const keys = (pinnedKeys || []).filter(k => k && k.jwk);
+      if (!keys.length) return { ok: false, reason: "No pinned public key is configured (data/policy_keys.json)" };
+      const candidates = bundle.kid ? keys.filter(k => k.kid === bundle.kid) : keys;
+      if (!candidates.length) return { ok: false, reason: `Bundle was signed with an unknown key (${bundle.kid})` };
+
+      let sig;
+      try { sig = fromB64(bundle.signature); } catch { return { ok: false, reason: "Signature is not valid base64" }; }
+      const data = new TextEncoder().encode(canonicalJson(bundle.payload));
+      for (const k of candidates) {
+        try {
+          const { kid, key_ops, ext, d, ...jwk } = k.jwk;
+          const key = await crypto.subtle.importKey("jwk", jwk, ALG, false, ["verify"]);
+          if (await crypto.subtle.verify(SIGN_ALG, key, sig, data)) {
+            const err = payloadError(bundle.payload);
+            return err ? { ok: false, reason: err } : { ok: true, payload: bundle.payload, kid: k.kid || "" };
+          }
+        } catch { /* malformed pinned key: try the next one */ }
+      }
+      return { ok: false, reason: "Signature does not match: the bundle was modified or signed with another key" };
+    };
+  }
+})();
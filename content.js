@@ -5,6 +5,17 @@
 // - Respond to RULES_UPDATED to apply new policy immediately
 // - Show clearer policy details (blocklisted flag)
 // - SAFE: early-bail and guarded messaging for frames without chrome.runtime
+// - Local DLP: classify prompt text (dlp.js) and report finding counts only
+// - Hold paste / drop / file uploads into AI prompt areas until the router decides
+// - "Redact and continue": swap secrets for placeholders, restore them in AI replies
+// - Site adapters (adapters.js) for precise prompt/send/attach handling on major AI apps
+// - Hold prompt submission (Enter / send button / form submit) until the router decides
+// - Walk open shadow roots (and same-origin iframes from the top frame) within a budget
+// - One router per tab: only the top frame renders; subframes relay held actions via background
+// - Data-driven detection rules (detection.js) with per-rule weights -> confidence
+// - AI domain list uses the shared URL-pattern matcher (patterns.js)
+// - Router follows the deciding policy rule (policy.js): warn / justify / pin / redirect / block
+// - Router UI lives in an extension-origin iframe (router.html) inside a closed shadow root
 
 (function () {
   // Only run on http/https documents
@@ -30,25 +41,68 @@
     // Prevent re-opening while a router is active; reset on RULES_UPDATED/navigation
     window.__AIPG_SUPPRESS_ROUTER__ = window.__AIPG_SUPPRESS_ROUTER__ || false;
 
-    const AI_SELECTORS = [
-      "[data-ai]",
-      "[aria-label*='AI']",
-      "[class*='ai-']",
-      "[class*='gpt']",
-      "button[aria-label*='AI']",
-      "button[aria-label*='Write with AI']",
-      "textarea[placeholder*='Ask']",
-      "textarea[placeholder*='Write']"
-    ];
+    // Used until background answers GET_DETECTION_RULES (data/detection_rules.json + admin rules)
+    const FALLBACK_DETECTION_RULES = {
+      threshold: 0.3,
+      aiUi: [
+        "[data-ai]",
+        "[aria-label*='AI']",
+        "[class*='ai-']",
+        "[class*='gpt']",
+        "button[aria-label*='Write with AI']",
+        "textarea[placeholder*='Ask']",
+        "textarea[placeholder*='Write']"
+      ].map(selector => ({ id: selector, selector, weight: 1 })),
+      sensitiveFields: [
+        { id: "password-input", field: "password", selector: "input[type='password']" },
+        { id: "email-attr", field: "email", attrPattern: "email" },
+        { id: "payment-attr", field: "credit", attrPattern: "(credit|card|iban|cvc|cvv)" },
+        { id: "identity-attr", field: "id", attrPattern: "(employee|national|id|ssn|nin)" }
+      ]
+    };
+
+    const {
+      classifyText, classifyTransfer, isSensitiveTransfer,
+      createRedactionVault, redactText, restoreText,
+      findSiteAdapter, adapterQuery, adapterClosest,
+      compileDetectionRules, evaluateAiUiRules, closestAiUiRule, countSensitiveFields,
+      matchListEntry
+    } = self.AIPG;
+
+    // Known AI chat app on this host? Generic detection rules are the fallback.
+    const siteAdapter = findSiteAdapter(location.hostname);
+
+    let detection = compileDetectionRules(FALLBACK_DETECTION_RULES, location.hostname);
+    function refreshDetectionRules() {
+      safeSendMessage({ type: "GET_DETECTION_RULES" }, (res) => {
+        if (res && res.rules) detection = compileDetectionRules(res.rules, location.hostname);
+      });
+    }
+    refreshDetectionRules();
 
     let routerOpen = false;
     let lastSignalSentAt = 0;
     const SIGNAL_COOLDOWN_MS = 3000;
 
-    // --- Safe messaging helper (runtime is known-good) ---
+    // Latest prompt classification (type -> count); values never leave this frame
+    let promptFindings = {};
+    let lastPromptEl = null;
+
+    // --- Safe messaging helper: cb always runs, without a response if background can't answer ---
     function safeSendMessage(payload, cb) {
-      try { chrome.runtime.sendMessage(payload, cb); } catch (_) {}
+      try {
+        chrome.runtime.sendMessage(payload, cb && ((res) => { void chrome.runtime.lastError; cb(res); }));
+      } catch (_) { cb?.(); }
+    }
+
+    // Active profile (cached for synchronous hold decisions; refreshed on RULES_UPDATED)
+    let activeProfile = null;
+    function refreshProfile() {
+      safeSendMessage({ type: "GET_PROFILE" }, (res) => {
+        activeProfile = (res && res.profile) || null;
+      });
     }
+    refreshProfile();
 
     // Determine if current page is an AI domain (content-side)
     let AIPG_DOMAINS = [];
@@ -57,76 +111,170 @@
     safeSendMessage({ type: "REQUEST_AI_DOMAINS" }, (res) => {
       AIPG_DOMAINS = (res && res.domains) || [];
       try {
-        const host = location.hostname.toLowerCase();
-        isAiDomainHere = AIPG_DOMAINS.some(d => host === d || host.endsWith("." + d));
+        // Same URL-pattern semantics as background (patterns.js)
+        isAiDomainHere = !!matchListEntry(location.href, AIPG_DOMAINS);
       } catch { isAiDomainHere = false; }
     });
 
+    // ------------------ Scan roots (document, shadow roots, same-origin iframes) ------------------
+    // Web-component widgets live in open shadow roots; the top frame also looks into
+    // same-origin iframes. SCAN_BUDGET keeps large apps from paying for a full walk.
+    const IS_TOP = window.top === window;
+    const SCAN_BUDGET = { maxNodes: 5000, maxRoots: 50, maxFrames: 8, maxMs: 25 };
+    const ROOTS_TTL_MS = 1000;
+    const observedRoots = new WeakSet();
+    let scanRoots = null;
+    let scanRootsAt = 0;
+
     // DOM observer for in-app AI signals & sensitive fields
-    const mo = new MutationObserver(() => maybeSignal());
-    mo.observe(document.documentElement, { childList: true, subtree: true });
+    const mo = new MutationObserver((records) => {
+      for (const r of records) r.addedNodes.forEach(noticeShadowRoots);
+      maybeSignal();
+    });
+    observeRoot(document.documentElement);
+
+    function observeRoot(root) {
+      if (!root || observedRoots.has(root)) return;
+      observedRoots.add(root);
+      try { mo.observe(root, { childList: true, subtree: true }); } catch (_) { /* detached */ }
+    }
+
+    function sameOriginDoc(iframe) {
+      try { return iframe.contentDocument || null; } catch { return null; } // cross-origin throws
+    }
+
+    // Newly attached subtrees: pick up shadow roots (bounded) so they are observed too
+    function noticeShadowRoots(node) {
+      if (node.nodeType !== 1) return;
+      let budget = 200;
+      const stack = [node];
+      while (stack.length && budget-- > 0) {
+        const el = stack.pop();
+        if (el.shadowRoot && !observedRoots.has(el.shadowRoot)) {
+          observeRoot(el.shadowRoot);
+          scanRoots = null; // force a rescan
+        }
+        if (IS_TOP && el.tagName === "IFRAME") {
+          el.addEventListener("load", () => { scanRoots = null; maybeSignal(); }, { once: true });
+        }
+        for (let c = el.lastElementChild; c; c = c.previousElementSibling) stack.push(c);
+      }
+    }
+
+    function collectRoots() {
+      const started = performance.now();
+      const roots = [document];
+      let nodes = 0, frames = 0;
+      for (let i = 0; i < roots.length; i++) {
+        const root = roots[i];
+        const walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+        let el;
+        while ((el = walker.nextNode())) {
+          if (++nodes > SCAN_BUDGET.maxNodes || performance.now() - started > SCAN_BUDGET.maxMs) return roots;
+          if (el.shadowRoot && roots.length < SCAN_BUDGET.maxRoots) {
+            roots.push(el.shadowRoot);
+            observeRoot(el.shadowRoot);
+          }
+          if (IS_TOP && el.tagName === "IFRAME" && frames < SCAN_BUDGET.maxFrames) {
+            const doc = sameOriginDoc(el);
+            if (doc && doc.documentElement) {
+              frames++;
+              roots.push(doc);
+              observeRoot(doc.documentElement);
+            }
+          }
+        }
+      }
+      return roots;
+    }
+
+    function getScanRoots() {
+      const now = Date.now();
+      if (!scanRoots || now - scanRootsAt > ROOTS_TTL_MS) {
+        scanRoots = collectRoots();
+        scanRootsAt = now;
+      }
+      return scanRoots;
+    }
+
+    function deepQuery(sel) {
+      for (const root of getScanRoots()) {
+        try {
+          const el = root.querySelector(sel);
+          if (el) return el;
+        } catch (_) { /* root went away */ }
+      }
+      return null;
+    }
+
+    function deepQueryAll(sel) {
+      const out = [];
+      for (const root of getScanRoots()) {
+        try { out.push(...root.querySelectorAll(sel)); } catch (_) { /* root went away */ }
+      }
+      return out;
+    }
+
+    // Real target of an event, even when it was retargeted out of a shadow root
+    function eventTarget(e) {
+      const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+      return path[0] && path[0].nodeType === 1 ? path[0] : e.target;
+    }
 
     function maybeSignal() {
       if (window.__AIPG_SUPPRESS_ROUTER__) return;
       const now = Date.now();
       if (now - lastSignalSentAt < SIGNAL_COOLDOWN_MS) return;
 
-      const signals = detectAiUiSignals();
+      const ui = detectAiUi();
       const fields = detectSensitiveFields();
-      const hasSignals = signals.length > 0;
-      const hasSensitive = Object.values(fields).some(v => v > 0);
+      const hasSignals = ui.confidence >= detection.threshold;
+      const hasSensitive = anySensitive(fields) || anySensitive(promptFindings);
 
       if (hasSignals || hasSensitive) {
         lastSignalSentAt = now;
         safeSendMessage({
           type: "AI_UI_DETECTED",
-          signals,
+          signals: ui.signals,
+          aiUiConfidence: ui.confidence,
           sensitiveFields: fields,
+          contentFindings: promptFindings,
           pageUrl: location.href,
           isAiDomainFromContent: isAiDomainHere
         });
       }
     }
 
-    function detectAiUiSignals() {
-      const found = [];
-      for (const sel of AI_SELECTORS) {
-        const el = document.querySelector(sel);
-        if (el) {
-          found.push(sel);
-          if (found.length >= 5) break; // cap noise
-        }
+    // -> { signals: [ruleId...], confidence: 0..1 }
+    function detectAiUi() {
+      if (siteAdapter) {
+        return adapterQuery(siteAdapter, "prompt")
+          ? { signals: [`adapter:${siteAdapter.id}`], confidence: 1 }
+          : { signals: [], confidence: 0 };
       }
-      return found;
+      const res = evaluateAiUiRules(detection, deepQueryAll);
+      return { signals: res.signals.slice(0, 10), confidence: res.confidence };
+    }
+
+    function hasAiUi() {
+      return detectAiUi().confidence >= detection.threshold;
     }
 
     function detectSensitiveFields() {
-      const res = { password: 0, email: 0, credit: 0, id: 0 };
-      const inputs = document.querySelectorAll("input, textarea");
-      inputs.forEach(el => {
-        const type = (el.getAttribute("type") || "").toLowerCase();
-        const name = (el.getAttribute("name") || "").toLowerCase();
-        const id   = (el.getAttribute("id") || "").toLowerCase();
-        const ph   = (el.getAttribute("placeholder") || "").toLowerCase();
-        const blob = type + " " + name + " " + id + " " + ph;
-
-        if (type === "password") res.password++;
-        if (/email/.test(blob)) res.email++;
-        if (/(credit|card|iban|cvc|cvv)/.test(blob)) res.credit++;
-        if (/(employee|national|id|ssn|nin)/.test(blob)) res.id++;
-      });
-      return res;
+      return countSensitiveFields(detection, deepQueryAll("input, textarea"));
     }
 
     // Optional prompt tracking (debounced)
     let promptTimer = null;
     const PROMPT_DEBOUNCE_MS = 600;
     function onPromptLikeInput(e) {
-      const t = e.target;
+      const t = siteAdapter ? adapterClosest(siteAdapter, "prompt", eventTarget(e)) : eventTarget(e);
+      if (!t) return; // adapter sites: only the app's prompt editor is tracked
       const text = extractText(t);
       if (!text) return;
       clearTimeout(promptTimer);
       promptTimer = setTimeout(() => {
+        updatePromptFindings(text, t);
         safeSendMessage({
           type: "PROMPT_ACTIVITY",
           text,
@@ -134,8 +282,24 @@
         });
       }, PROMPT_DEBOUNCE_MS);
     }
+
+    // Re-signal as soon as a new kind of sensitive content shows up in the prompt.
+    // Only prompt areas on AI domains / pages with AI UI are classified.
+    function updatePromptFindings(text, el) {
+      if (!isAiDomainHere && !hasAiUi()) return;
+      const { counts } = classifyText(text);
+      if (Object.keys(counts).length) lastPromptEl = el;
+      const isNewType = Object.keys(counts).some(k => !promptFindings[k]);
+      promptFindings = counts;
+      if (isNewType) {
+        lastSignalSentAt = 0;
+        maybeSignal();
+      }
+    }
+
     function extractText(el) {
       if (!el) return "";
+      if (el.tagName === "INPUT" && (el.type || "").toLowerCase() === "file") return "";
       if (el.tagName === "TEXTAREA" || el.tagName === "INPUT") return el.value || "";
       if (el.isContentEditable) return el.innerText || el.textContent || "";
       return "";
@@ -143,234 +307,505 @@
     document.addEventListener("keyup", onPromptLikeInput, true);
     document.addEventListener("change", onPromptLikeInput, true);
 
+    // ------------------ Reversible redaction ------------------
+    // Placeholder <-> value mapping for this tab. Kept only in the content script's
+    // isolated world (page scripts can't read it) and dropped on reload.
+    const redactionVault = createRedactionVault();
+    let restoreObserver = null;
+
+    function setPromptText(el, text) {
+      if (el.tagName === "TEXTAREA" || el.tagName === "INPUT") {
+        // Use the native setter so framework-controlled inputs pick up the change
+        const proto = el.tagName === "TEXTAREA" ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+        Object.getOwnPropertyDescriptor(proto, "value").set.call(el, text);
+        el.dispatchEvent(new Event("input", { bubbles: true }));
+        return;
+      }
+      if (el.isContentEditable) {
+        el.focus();
+        const range = document.createRange();
+        range.selectNodeContents(el);
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+        document.execCommand("insertText", false, text);
+      }
+    }
+
+    function redactPrompt(el) {
+      if (!el || !el.isConnected) return 0;
+      const { text, replaced } = redactText(extractText(el), redactionVault);
+      if (!replaced) return 0;
+      setPromptText(el, text);
+      promptFindings = classifyText(extractText(el)).counts;
+      watchForPlaceholders();
+      return replaced;
+    }
+
+    function isEditable(node) {
+      const el = node.nodeType === 1 ? node : node.parentElement;
+      if (!el) return true;
+      return !!el.closest("textarea, input, [contenteditable=''], [contenteditable='true']");
+    }
+
+    // Restore placeholders in rendered text (AI replies) — never inside the prompt editor
+    function restoreIn(root) {
+      if (root.nodeType === 3) {
+        if (!isEditable(root) && /\[[A-Z_]+_\d+\]/.test(root.nodeValue)) {
+          const restored = restoreText(root.nodeValue, redactionVault);
+          if (restored !== root.nodeValue) root.nodeValue = restored;
+        }
+        return;
+      }
+      if (root.nodeType !== 1 || isEditable(root)) return;
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      let n;
+      while ((n = walker.nextNode())) restoreIn(n);
+    }
+
+    function watchForPlaceholders() {
+      if (restoreObserver || !redactionVault.byPlaceholder.size) return;
+      restoreObserver = new MutationObserver((records) => {
+        for (const r of records) {
+          if (r.type === "characterData") restoreIn(r.target);
+          else r.addedNodes.forEach(restoreIn);
+        }
+      });
+      // Adapter sites: only the conversation container holds AI replies
+      const root = adapterQuery(siteAdapter, "conversation")?.parentElement || document.documentElement;
+      restoreObserver.observe(root, { childList: true, subtree: true, characterData: true });
+      restoreIn(root === document.documentElement ? (document.body || root) : root);
+    }
+
+    // ------------------ Paste / drop / file upload interception ------------------
+    // Listeners run at window capture so a held transfer never reaches page handlers.
+    // Only metadata (size, MIME types, extensions, finding counts) is sent to background.
+    let replayingTransfer = false;
+    const heldFileInputs = new WeakSet();
+
+    function isAiTarget(el) {
+      if (!el || el.nodeType !== 1) return false;
+      if (siteAdapter) {
+        return ["prompt", "attach", "conversation"].some(part => adapterClosest(siteAdapter, part, el));
+      }
+      if (isAiDomainHere) return true;
+      return !!closestAiUiRule(detection, el);
+    }
+
+    function shouldHoldTransfer(meta) {
+      const mode = activeProfile?.transferPolicy || "off";
+      if (mode === "always") return true;
+      if (mode === "sensitive") return isSensitiveTransfer(meta, activeProfile?.largeTransferBytes);
+      return false;
+    }
+
+    // Copy what we need synchronously: the event's DataTransfer is emptied after dispatch
+    function snapshotTransfer(dt) {
+      const files = Array.from(dt?.files || []);
+      const data = {};
+      for (const type of ["text/plain", "text/html", "text/uri-list"]) {
+        const v = dt?.getData?.(type);
+        if (v) data[type] = v;
+      }
+      return { files, data };
+    }
+
+    function cloneDataTransfer(snap) {
+      const dt = new DataTransfer();
+      for (const f of snap.files) dt.items.add(f);
+      for (const [type, v] of Object.entries(snap.data)) dt.setData(type, v);
+      return dt;
+    }
+
+    function saveSelection() {
+      const sel = window.getSelection();
+      return sel && sel.rangeCount ? sel.getRangeAt(0).cloneRange() : null;
+    }
+
+    function insertTextAt(target, range, text) {
+      target.focus();
+      if (range && target.isContentEditable) {
+        const sel = window.getSelection();
+        sel.removeAllRanges();
+        sel.addRange(range);
+      }
+      // execCommand keeps the editor's undo stack and input events intact
+      if (!document.execCommand("insertText", false, text) && "value" in target) {
+        const start = target.selectionStart ?? target.value.length;
+        const end = target.selectionEnd ?? start;
+        target.setRangeText(text, start, end, "end");
+        target.dispatchEvent(new Event("input", { bubbles: true }));
+      }
+    }
+
+    // replay(decision) re-applies the transfer; text-only transfers can be redacted first
+    function holdTransfer(e, meta, replay, redactable) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      requestHeldDecision(transferMessage(meta, true), { trigger: meta.kind, redactable }).then((decision) => {
+        if (decision === "proceed" || decision === "redact") replay(decision);
+      });
+    }
+
+    function transferMessage(meta, held) {
+      const ui = detectAiUi();
+      return {
+        type: "TRANSFER_EVENT",
+        transfer: meta,
+        held,
+        pageUrl: location.href,
+        signals: ui.signals,
+        aiUiConfidence: ui.confidence,
+        isAiDomainFromContent: isAiDomainHere
+      };
+    }
+
+    function reportTransfer(meta) {
+      safeSendMessage(transferMessage(meta, false));
+    }
+
+    function replayEvent(target, ev) {
+      replayingTransfer = true;
+      try { target.dispatchEvent(ev); } finally { replayingTransfer = false; }
+    }
+
+    window.addEventListener("paste", (e) => {
+      if (replayingTransfer || !isAiTarget(eventTarget(e))) return;
+      const snap = snapshotTransfer(e.clipboardData);
+      const meta = classifyTransfer("paste", snap.files, snap.data["text/plain"]);
+      if (!shouldHoldTransfer(meta)) { reportTransfer(meta); return; }
+
+      const target = eventTarget(e);
+      const range = saveSelection();
+      const text = snap.data["text/plain"] || "";
+      const redactable = !snap.files.length && Object.keys(meta.findings).length > 0;
+      holdTransfer(e, meta, (decision) => {
+        if (snap.files.length) {
+          // Editors handle file pastes in script; hand them a fresh clipboard payload
+          replayEvent(target, new ClipboardEvent("paste", { clipboardData: cloneDataTransfer(snap), bubbles: true, cancelable: true, composed: true }));
+        } else if (text) {
+          insertTextAt(target, range, decision === "redact" ? redactPasted(text) : text);
+        }
+      }, redactable);
+    }, true);
+
+    function redactPasted(text) {
+      const out = redactText(text, redactionVault).text;
+      watchForPlaceholders();
+      return out;
+    }
+
+    window.addEventListener("drop", (e) => {
+      if (replayingTransfer || !isAiTarget(eventTarget(e))) return;
+      const snap = snapshotTransfer(e.dataTransfer);
+      const meta = classifyTransfer("drop", snap.files, snap.data["text/plain"]);
+      if (!shouldHoldTransfer(meta)) { reportTransfer(meta); return; }
+
+      const target = eventTarget(e);
+      const { clientX, clientY } = e;
+      const text = snap.data["text/plain"] || "";
+      const redactable = !snap.files.length && Object.keys(meta.findings).length > 0;
+      holdTransfer(e, meta, (decision) => {
+        if (snap.files.length) {
+          replayEvent(target, new DragEvent("drop", { dataTransfer: cloneDataTransfer(snap), clientX, clientY, bubbles: true, cancelable: true, composed: true }));
+        } else if (text) {
+          insertTextAt(target, null, decision === "redact" ? redactPasted(text) : text);
+        }
+      }, redactable);
+    }, true);
+
+    // File pickers fire "input" then "change"; both are held and replayed together
+    function onFileInputEvent(e) {
+      const input = eventTarget(e);
+      if (replayingTransfer || !input || input.tagName !== "INPUT" || (input.type || "").toLowerCase() !== "file") return;
+      if (heldFileInputs.has(input)) { e.stopImmediatePropagation(); return; }
+      if (!isAiTarget(input) || !input.files?.length) return;
+
+      const meta = classifyTransfer("file_upload", input.files, "");
+      if (!shouldHoldTransfer(meta)) {
+        if (e.type === "change") reportTransfer(meta);
+        return;
+      }
+
+      heldFileInputs.add(input);
+      e.stopImmediatePropagation();
+      requestHeldDecision(transferMessage(meta, true), { trigger: meta.kind }).then((decision) => {
+        heldFileInputs.delete(input);
+        if (decision !== "proceed") { input.value = ""; return; }
+        replayEvent(input, new Event("input", { bubbles: true, composed: true }));
+        replayEvent(input, new Event("change", { bubbles: true }));
+      });
+    }
+    window.addEventListener("input", onFileInputEvent, true);
+    window.addEventListener("change", onFileInputEvent, true);
+
+    // ------------------ Submit interception ------------------
+    // Enter / Ctrl+Enter, send buttons and form submits are held while the background
+    // evaluates the prompt; the original action is replayed only on Proceed / Redact.
+    let replayingSubmit = false;
+    let submitPending = false;
+
+    function isTextEntry(el) {
+      if (!el || el.nodeType !== 1) return false;
+      if (el.tagName === "TEXTAREA" || el.isContentEditable) return true;
+      return el.tagName === "INPUT" && /^(text|search)?$/.test((el.getAttribute("type") || "").toLowerCase());
+    }
+
+    function promptInForm(form) {
+      if (!form) return null;
+      return form.querySelector("textarea, [contenteditable='true'], [contenteditable='']");
+    }
+
+    // Generic sites: a plain Enter in a textarea may just be a newline, so it is only
+    // held on AI domains; in-app widgets are covered by Ctrl+Enter, send buttons and forms.
+    function promptForKey(e) {
+      if (siteAdapter) return adapterClosest(siteAdapter, "prompt", eventTarget(e));
+      const el = eventTarget(e);
+      if (!isTextEntry(el) || !isAiTarget(el)) return null;
+      if (el.tagName === "INPUT" || isAiDomainHere || e.ctrlKey || e.metaKey) return el;
+      return null;
+    }
+
+    function findSendButton(el) {
+      if (siteAdapter) return adapterClosest(siteAdapter, "send", el);
+      const btn = el?.closest?.("button, input[type='submit']");
+      if (!btn || !isAiTarget(btn)) return null;
+      const label = (btn.getAttribute("aria-label") || btn.textContent || btn.value || "").trim();
+      return ((btn.type === "submit" && btn.form) || /^(send|submit|ask)\b/i.test(label)) ? btn : null;
+    }
+
+    function replaySubmit(fn) {
+      replayingSubmit = true;
+      try { fn(); } catch (_) { /* page changed underneath us */ } finally { replayingSubmit = false; }
+    }
+
+    function holdSubmission(e, via, promptEl, replay) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (submitPending) return; // one decision at a time; repeated Enter/clicks are swallowed
+      submitPending = true;
+
+      const text = extractText(promptEl);
+      const findings = classifyText(text).counts;
+      const redactable = anySensitive(findings) && !!promptEl?.isConnected;
+      const ui = detectAiUi();
+      requestHeldDecision({
+        type: "PROMPT_SUBMIT",
+        via,
+        length: text.length,
+        findings,
+        signals: ui.signals,
+        aiUiConfidence: ui.confidence,
+        pageUrl: location.href,
+        isAiDomainFromContent: isAiDomainHere
+      }, { trigger: "submit", redactable }).then((decision) => {
+        submitPending = false;
+        if (decision === "redact") redactPrompt(promptEl);
+        if (decision === "proceed" || decision === "redact") replaySubmit(replay);
+      });
+    }
+
+    window.addEventListener("keydown", (e) => {
+      if (replayingSubmit || e.key !== "Enter" || e.shiftKey || e.altKey || e.isComposing) return;
+      if (!activeProfile?.holdSubmissions) return;
+      const promptEl = promptForKey(e);
+      if (!promptEl || !extractText(promptEl).trim()) return;
+
+      const replay = enterReplay(promptEl);
+      if (!replay) return; // nothing could send it afterwards: leave the Enter alone
+      holdSubmission(e, "enter", promptEl, replay);
+    }, true);
+
+    // How a held Enter is sent after Proceed: the adapter's send button, the prompt's
+    // form, or a send button near the prompt. A synthetic Enter is untrusted and chat
+    // editors ignore it, so without one of these -> null and the Enter isn't held.
+    function enterReplay(promptEl) {
+      const button = () => adapterQuery(siteAdapter, "send") || (!promptEl.form && sendButtonNear(promptEl));
+      if (!button() && !promptEl.form) return null;
+      return () => {
+        const btn = button();
+        if (btn) btn.click();
+        else if (promptEl.form) promptEl.form.requestSubmit();
+      };
+    }
+
+    // Closest enabled send button around the prompt, a few containers up at most
+    function sendButtonNear(promptEl) {
+      let box = promptEl.parentElement;
+      for (let depth = 0; box && depth < 6; depth++, box = box.parentElement) {
+        for (const el of box.querySelectorAll("button, input[type='submit']")) {
+          const btn = findSendButton(el);
+          if (btn && !btn.disabled) return btn;
+        }
+      }
+      return null;
+    }
+
+    window.addEventListener("click", (e) => {
+      if (replayingSubmit || !activeProfile?.holdSubmissions) return;
+      const btn = findSendButton(eventTarget(e));
+      if (!btn) return;
+      const promptEl = adapterQuery(siteAdapter, "prompt") || promptInForm(btn.form) || lastPromptEl;
+      if (!promptEl || !extractText(promptEl).trim()) return;
+      holdSubmission(e, "button", promptEl, () => btn.click());
+    }, true);
+
+    window.addEventListener("submit", (e) => {
+      if (replayingSubmit || !activeProfile?.holdSubmissions) return;
+      const form = e.target;
+      const promptEl = promptInForm(form);
+      if (!promptEl || !isAiTarget(promptEl) || !extractText(promptEl).trim()) return;
+      const submitter = e.submitter && e.submitter.form === form ? e.submitter : undefined;
+      holdSubmission(e, "form", promptEl, () => form.requestSubmit(submitter));
+    }, true);
+
     // React to rules/profile updates: allow router to re-open with new policy
     chrome.runtime.onMessage.addListener((msg) => {
       if (msg.type === "RULES_UPDATED") {
         window.__AIPG_SUPPRESS_ROUTER__ = false;
-        const existing = document.querySelector(".aipg-overlay");
-        if (existing) existing.remove(); // close any modal so new policy can show
+        refreshDetectionRules();
+        // close any modal so new policy can show (held actions are dropped)
+        for (const closeRouter of [...openRouters]) closeRouter("dismiss");
+        for (const resolve of pendingHolds.values()) resolve("dismiss");
+        pendingHolds.clear();
+        refreshProfile();
+      }
+
+      // Background accepted a decision from this frame's router
+      if (msg.type === "ROUTER_DECIDED") {
+        routerFrames.get(msg.routerId)?.(msg.decision || "dismiss");
+      }
+
+      // Decision for an action held in this frame but routed in the top frame
+      if (msg.type === "HELD_DECISION") {
+        const resolve = pendingHolds.get(msg.holdId);
+        pendingHolds.delete(msg.holdId);
+        if (resolve) resolve(msg.decision || "dismiss");
       }
     });
 
     // Open router on request (respect suppression)
     chrome.runtime.onMessage.addListener((msg) => {
+      if (msg.type === "OPEN_ROUTER" && msg.held) {
+        // Held action from a subframe: background hands the decision to that frame
+        routeHeldAction(msg);
+        return;
+      }
       if (msg.type === "OPEN_ROUTER") {
         if (window.__AIPG_SUPPRESS_ROUTER__) return;
         if (!routerOpen) {
           routerOpen = true;
           window.__AIPG_SUPPRESS_ROUTER__ = true; // prevent duplicates during active router
-          renderRouter(msg).finally(() => { routerOpen = false; });
+          const promptEl = adapterQuery(siteAdapter, "prompt") || lastPromptEl;
+          const redactable = anySensitive(msg.context?.contentFindings) && !!promptEl?.isConnected;
+          renderRouter({ ...msg, redactable })
+            .then((decision) => { if (decision === "redact") redactPrompt(promptEl); })
+            .finally(() => { routerOpen = false; });
         }
       }
     });
 
-    // ------------------ Router Modal ------------------
-    async function renderRouter(payload) {
-      const { reason, context, risk, profileId } = payload;
-
-      const overlay = document.createElement("div");
-      overlay.className = "aipg-overlay";
-      overlay.innerHTML = `
-        <div class="aipg-modal" role="dialog" aria-labelledby="aipg-title" aria-modal="true" tabindex="-1">
-          <div class="aipg-header">
-            <h2 id="aipg-title">AI Usage Detected</h2>
-          </div>
-
-          <p class="aipg-reason">${escapeHtml(reason || "AI activity detected")}</p>
-
-          <div class="aipg-risk">
-            <span class="badge ${riskBadge(risk)}" aria-live="polite">Risk: ${Number(risk) || 0}</span>
-            <small class="aipg-tip" id="aipg-tip">Tip: Loading…</small>
-          </div>
-
-          <div class="aipg-details">
-            ${context.isAiDomain ? `<div>• AI domain</div>` : ``}
-            ${context.aiUiSignals?.length ? `<div>• AI UI on page (${context.aiUiSignals.length} signal${context.aiUiSignals.length>1?'s':''})</div>` : ``}
-            ${anySensitive(context.sensitiveFields) ? `<div>• Sensitive fields present</div>` : ``}
-            ${context.isInternalSite ? `<div>• Internal site</div>` : ``}
-            ${context.blocklisted ? `<div>• <b>Blocklisted by policy</b></div>` : ``}
-          </div>
-
-          <div class="aipg-actions" style="display:flex; gap:8px; flex-wrap:wrap;">
-            <button class="btn btn-secondary" id="aipg-cancel">Cancel</button>
-            <button class="btn btn-primary" id="aipg-proceed">Proceed</button>
-            <button class="btn btn-accent" id="aipg-redirect" title="Use approved internal AI">Use Approved AI</button>
-          </div>
-
-          <div class="aipg-checkboxes">
-            <label><input type="checkbox" id="aipg-allow-site"> Always allow this site</label>
-            <label><input type="checkbox" id="aipg-block-site"> Always block this site</label>
-          </div>
-
-          <div class="aipg-admin" id="aipg-admin" style="display:none;">
-            <label>Admin PIN:
-              <input type="password" id="aipg-pin" autocomplete="one-time-code" aria-label="Admin PIN">
-            </label>
-            <div class="aipg-note" id="aipg-note" style="font-size:12px;color:#666;display:none;margin-top:8px;">
-              A valid Admin PIN is required to proceed on high‑risk interactions.
-            </div>
-          </div>
-
-          <button class="aipg-close" aria-label="Close dialog">×</button>
-        </div>
-      `;
-      document.documentElement.appendChild(overlay);
-
-      const modal = overlay.querySelector(".aipg-modal");
-      modal.focus();
-      overlay.addEventListener("keydown", (e) => { if (e.key === "Escape") close(); });
-      overlay.querySelector(".aipg-close").onclick = close;
-
-      // Safety tips (local JSON)
-      fetch(chrome.runtime.getURL("assets/tips.json"))
-        .then(r => r.json())
-        .then(tips => {
-          const tip = tips[Math.floor(Math.random() * tips.length)];
-          const tipEl = overlay.querySelector("#aipg-tip");
-          if (tipEl) tipEl.textContent = "Tip: " + tip;
-        })
-        .catch(() => {});
-
-      // Determine if PIN is required (Strict + risk >= threshold)
-      let pinRequired = false;
-      safeSendMessage({ type: "GET_PROFILE" }, ({ profile }) => {
-        if (profile?.requireAdminPinAboveThreshold && (risk >= (profile.riskThreshold || 100))) {
-          pinRequired = true;
-          overlay.querySelector("#aipg-admin").style.display = "block";
-          overlay.querySelector("#aipg-note").style.display = "block";
+    // Ask background about a held action. Resolves with the router decision, or
+    // "proceed" when no router is needed. Subframes never render: background relays
+    // the router to the top frame and answers later with HELD_DECISION.
+    // No answer from background, or no decision within HOLD_TIMEOUT_MS (router frame
+    // gone, service worker restarted): the held action is dropped ("dismiss") so the
+    // next submit / paste starts over instead of being swallowed.
+    const HOLD_TIMEOUT_MS = 5 * 60 * 1000;
+    const pendingHolds = new Map(); // holdId -> resolve(decision)
+    function requestHeldDecision(message, extra) {
+      const holdId = crypto.randomUUID();
+      return new Promise((resolve) => {
+        let routerId = "";
+        const timer = setTimeout(() => {
+          routerFrames.get(routerId)?.("dismiss");
+          settle("dismiss");
+        }, HOLD_TIMEOUT_MS);
+        function settle(decision) {
+          clearTimeout(timer);
+          pendingHolds.delete(holdId);
+          resolve(decision);
         }
-      });
-
-      // Cancel: strict -> block with shield; lower risk -> dismiss
-      overlay.querySelector("#aipg-cancel").onclick = async () => {
-        if (pinRequired) {
-          showBlockingShield();
-          return;
-        }
-        await sendDecision("cancel", false);
-        close();
-      };
-
-      // Proceed: strict -> validate PIN; else proceed
-      overlay.querySelector("#aipg-proceed").onclick = async () => {
-        if (pinRequired) {
-          chrome.storage.local.get(["rules"], ({ rules }) => {
-            const entered = overlay.querySelector("#aipg-pin").value;
-            const adminPin = rules?.adminPin || "";
-            if (!adminPin || entered !== adminPin) {
-              alert("Admin PIN required.");
-            } else {
-              sendDecision("proceed", true).then(close);
-            }
-          });
-          return;
-        }
-        await sendDecision("proceed", false);
-        close();
-      };
-
-      // NEW: Redirect to approved AI
-      overlay.querySelector("#aipg-redirect").onclick = async () => {
-        chrome.storage.local.get(["approvedAiUrl"], ({ approvedAiUrl }) => {
-          const url = (approvedAiUrl || "").trim();
-          if (!url) {
-            alert("Approved AI URL is not configured. Set it in Options.");
-            return;
-          }
-          // Log a redirect decision, then navigate
-          safeSendMessage({
-            type: "ROUTER_DECISION",
-            decision: "redirect",
-            reason: overlay.querySelector(".aipg-reason")?.textContent || "",
-            tabUrl: location.href,
-            risk: risk,
-            profileId: profileId,
-            redirectedTo: url
-          });
-          // Navigate to approved AI
-          try { window.location.href = url; } catch (_) { /* ignore */ }
-          close();
-        });
-      };
-
-      async function sendDecision(choice, pinVerified) {
-        // Keep suppression after handling
-        window.__AIPG_SUPPRESS_ROUTER__ = true;
-
-        // Apply allow/block toggles
-        const allowChecked = overlay.querySelector("#aipg-allow-site").checked;
-        const blockChecked = overlay.querySelector("#aipg-block-site").checked;
-        if (allowChecked || blockChecked) {
-          const host = (new URL(location.href)).hostname;
-          chrome.storage.local.get(["rules"], ({ rules }) => {
-            const selectedId = rules?.selectedProfileId || "confirm";
-            const profiles = rules?.profiles || [];
-            const idx = profiles.findIndex(p => p.id === selectedId);
-            if (idx >= 0) {
-              const p = profiles[idx];
-              p.allowList = p.allowList || [];
-              p.blockList = p.blockList || [];
-              if (allowChecked && !p.allowList.includes(host)) p.allowList.push(host);
-              if (blockChecked && !p.blockList.includes(host)) p.blockList.push(host);
-              profiles[idx] = p;
-              rules.profiles = profiles;
-              chrome.storage.local.set({ rules });
-            }
-          });
-        }
-
-        safeSendMessage({
-          type: "ROUTER_DECISION",
-          decision: choice,
-          reason: overlay.querySelector(".aipg-reason")?.textContent || "",
-          tabUrl: location.href,
-          risk: risk,
-          profileId: profileId,
-          pinVerified: !!pinVerified
+        safeSendMessage({ ...message, ...extra, holdId }, (res) => {
+          if (!res || !res.ok) { settle("dismiss"); return; }
+          if (res.relayed) { pendingHolds.set(holdId, settle); return; }
+          if (!res.route) { settle("proceed"); return; }
+          routerId = res.routerId || "";
+          routeHeldAction({ ...res, ...extra }).then(settle);
         });
-      }
+      });
+    }
 
-      function showBlockingShield() {
-        // Full-screen shield that blocks page interaction until user backs out
-        const shield = document.createElement("div");
-        shield.style.position = "fixed";
-        shield.style.inset = "0";
-        shield.style.zIndex = "2147483647";
-        shield.style.background = "rgba(0,0,0,0.55)";
-        shield.style.display = "flex";
-        shield.style.alignItems = "center";
-        shield.style.justifyContent = "center";
-        shield.style.backdropFilter = "blur(2px)";
-        shield.innerHTML = `
-          <div style="background:#fff;color:#111;max-width:520px;width:92%;padding:18px;border-radius:10px;box-shadow:0 8px 30px rgba(0,0,0,0.35);font-family:system-ui,-apple-system,Segoe UI,Roboto,Arial;">
-            <h3 style="margin:0 0 8px;">Action required</h3>
-            <p style="margin:0 0 10px;">This interaction is classified as <b>high risk</b>. A valid Admin PIN is required to proceed.</p>
-            <div style="display:flex;gap:10px;justify-content:flex-end;">
-              <button id="aipg-shield-back" style="padding:8px 12px;border:0;border-radius:8px;background:#e0e0e0;cursor:pointer;">Return</button>
-            </div>
-          </div>
-        `;
-        document.documentElement.appendChild(shield);
-
-        // Allow router to re-open if user triggers AI again (suppression off)
-        window.__AIPG_SUPPRESS_ROUTER__ = false;
+    // Held actions (paste/drop/upload/submit) get their own router, one at a time,
+    // regardless of page suppression: the profile asked for an explicit decision.
+    let heldRouterChain = Promise.resolve();
+    function routeHeldAction(payload) {
+      const run = () => renderRouter(payload);
+      const next = heldRouterChain.then(run, run);
+      heldRouterChain = next.catch(() => {});
+      return next;
+    }
 
-        shield.querySelector("#aipg-shield-back").onclick = () => {
-          shield.remove();
-        };
+    // ------------------ Router Modal ------------------
+    // The dialog itself is router.html in an extension-origin iframe, mounted in a
+    // closed shadow root: page scripts can't read, restyle or click it. Background
+    // accepts decisions only from that frame and answers here with ROUTER_DECIDED.
+    // Close functions of routers currently on screen
+    const openRouters = new Set();
+    const routerFrames = new Map(); // routerId -> close(decision)
+
+    const ROUTER_HOST_CSS = `
+      :host { all: initial !important; position: fixed !important; inset: 0 !important;
+              z-index: 2147483647 !important; display: block !important; visibility: visible !important;
+              opacity: 1 !important; pointer-events: auto !important; transform: none !important; }
+      iframe { all: initial; display: block; width: 100%; height: 100%; border: 0; color-scheme: light; }
+    `;
+
+    // Resolves with "proceed" | "redact" | "cancel" | "redirect" | "dismiss"
+    function renderRouter(payload) {
+      let resolveDecision;
+      const decided = new Promise((resolve) => { resolveDecision = resolve; });
+      if (!payload.routerId) { resolveDecision("dismiss"); return decided; }
+
+      const host = document.createElement("div"); // not a custom element: the page could define it
+      const root = host.attachShadow({ mode: "closed" });
+      const style = document.createElement("style");
+      style.textContent = ROUTER_HOST_CSS;
+      const frame = document.createElement("iframe");
+      frame.src = chrome.runtime.getURL("router.html") + "?" + new URLSearchParams({
+        id: payload.routerId,
+        redactable: payload.redactable ? "1" : ""
+      });
+      frame.title = "AI Privacy Guard Pro";
+      frame.addEventListener("load", () => frame.focus());
+      root.append(style, frame);
+      document.documentElement.appendChild(host);
+
+      // Put the router back if the page removes it or strips the host's attributes
+      const guard = new MutationObserver(() => {
+        if (host.attributes.length) [...host.attributes].forEach(a => host.removeAttribute(a.name));
+        if (!host.isConnected) document.documentElement.appendChild(host);
+      });
+      guard.observe(document.documentElement, { childList: true });
+      guard.observe(host, { attributes: true });
+
+      // Keep suppression after handling
+      window.__AIPG_SUPPRESS_ROUTER__ = true;
+
+      function close(decision = "dismiss") {
+        guard.disconnect();
+        host.remove();
+        openRouters.delete(close);
+        routerFrames.delete(payload.routerId);
+        resolveDecision(decision);
       }
+      openRouters.add(close);
+      routerFrames.set(payload.routerId, close);
 
-      function close(){ overlay.remove(); }
+      return decided;
     }
 
     // ---- small utils ----
     function anySensitive(obj){ return !!obj && Object.values(obj).some(v => v > 0); }
-    function riskBadge(r){ const n = Number(r)||0; return n>=70?"badge-high":(n>=40?"badge-med":"badge-low"); }
-    function escapeHtml(s){
-      return String(s||"")
-        .replace(/&/g,"&amp;")
-        .replace(/</g,"&lt;")
-        .replace(/>/g,"&gt;");
-    }
   }
 })();
\ No newline at end of file
@@ -0,0 +1,31 @@
+// data/ai_api_hosts.js (classic, guarded assignment)
+// AI provider API hosts (and their subdomains) for background AI API call detection.
+// A script rather than JSON so the service worker loads it with importScripts and can
+// register its webRequest filter synchronously: only listeners added in the worker's
+// first turn receive the request that wakes it.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  if (!self.AIPG.AI_API_HOSTS) {
+    self.AIPG.AI_API_HOSTS = [
+      { host: "api.openai.com", provider: "OpenAI" },
+      { host: "openai.azure.com", provider: "Azure OpenAI" },
+      { host: "api.anthropic.com", provider: "Anthropic" },
+      { host: "generativelanguage.googleapis.com", provider: "Google Gemini" },
+      { host: "aiplatform.googleapis.com", provider: "Google Vertex AI" },
+      { host: "api.cohere.com", provider: "Cohere" },
+      { host: "api.cohere.ai", provider: "Cohere" },
+      { host: "api.mistral.ai", provider: "Mistral AI" },
+      { host: "api.groq.com", provider: "Groq" },
+      { host: "api.together.xyz", provider: "Together AI" },
+      { host: "api.perplexity.ai", provider: "Perplexity" },
+      { host: "api.deepseek.com", provider: "DeepSeek" },
+      { host: "api.x.ai", provider: "xAI" },
+      { host: "openrouter.ai", provider: "OpenRouter" },
+      { host: "api-inference.huggingface.co", provider: "Hugging Face" },
+      { host: "api.replicate.com", provider: "Replicate" },
+      { host: "api.stability.ai", provider: "Stability AI" },
+      { host: "api.elevenlabs.io", provider: "ElevenLabs" }
+    ];
+  }
+})();
@@ -0,0 +1,137 @@
+// detection.js (classic, guarded assignments)
+// Data-driven AI UI / sensitive-field detection rules (data/detection_rules.json).
+// Background merges packaged + admin rules; content.js compiles and evaluates them.
+//
+// AI UI rule:    { id, selector, attr?: { name, pattern, flags? }, text?, flags?, weight, hosts? }
+// Field rule:    { id, field: "password"|"email"|"credit"|"id", selector?, attrPattern? }
+// Confidence is a noisy-OR of matched rule weights: 1 - Π(1 - weight).
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const FIELD_KEYS = ["password", "email", "credit", "id"];
+  const MAX_ELEMENTS_PER_RULE = 50;
+  const DEFAULT_THRESHOLD = 0.3;
+
+  function toRegExp(pattern, flags) {
+    if (!pattern) return null;
+    try { return new RegExp(pattern, flags == null ? "i" : flags); } catch { return null; }
+  }
+
+  function hostInScope(host, hosts) {
+    if (!Array.isArray(hosts) || !hosts.length) return true;
+    const h = String(host || "").toLowerCase();
+    return hosts.some(d => {
+      const e = String(d || "").toLowerCase();
+      return !!e && (h === e || h.endsWith("." + e));
+    });
+  }
+
+  // Admin rules override packaged ones by id; { id, disabled: true } removes a rule
+  if (!self.AIPG.mergeDetectionRules) {
+    self.AIPG.mergeDetectionRules = function mergeDetectionRules(packaged, custom) {
+      const base = packaged || {};
+      const extra = custom || {};
+      const mergeList = (a, b) => {
+        const byId = new Map();
+        for (const r of [...(a || []), ...(b || [])]) {
+          if (!r || !r.id) continue;
+          if (r.disabled) byId.delete(r.id); else byId.set(r.id, r);
+        }
+        return [...byId.values()];
+      };
+      return {
+        version: base.version || 1,
+        threshold: typeof extra.threshold === "number" ? extra.threshold : (base.threshold ?? DEFAULT_THRESHOLD),
+        aiUi: mergeList(base.aiUi, extra.aiUi),
+        sensitiveFields: mergeList(base.sensitiveFields, extra.sensitiveFields)
+      };
+    };
+  }
+
+  // Drop rules that are out of scope for this host or fail to compile
+  if (!self.AIPG.compileDetectionRules) {
+    self.AIPG.compileDetectionRules = function compileDetectionRules(raw, host) {
+      const rules = raw || {};
+      const aiUi = (rules.aiUi || [])
+        .filter(r => r && r.selector && hostInScope(host, r.hosts))
+        .map(r => ({
+          id: String(r.id),
+          selector: String(r.selector),
+          attrName: r.attr && r.attr.name ? String(r.attr.name) : "",
+          attrRe: r.attr ? toRegExp(r.attr.pattern, r.attr.flags) : null,
+          textRe: toRegExp(r.text, r.flags),
+          weight: Math.max(0, Math.min(1, Number(r.weight) || 0))
+        }))
+        .filter(r => r.weight > 0 && (!r.attrName || r.attrRe) && (r.textRe || !r.text));
+      const fields = (rules.sensitiveFields || [])
+        .filter(r => r && FIELD_KEYS.includes(r.field) && (r.selector || r.attrPattern) && hostInScope(host, r.hosts))
+        .map(r => ({ id: String(r.id), field: r.field, selector: r.selector || "", attrRe: toRegExp(r.attrPattern, r.flags) }));
+      const threshold = Number(rules.threshold);
+      return { aiUi, fields, threshold: Number.isFinite(threshold) ? threshold : DEFAULT_THRESHOLD };
+    };
+  }
+
+  function ruleMatches(rule, el) {
+    if (rule.attrRe && !rule.attrRe.test(el.getAttribute(rule.attrName) || "")) return false;
+    if (rule.textRe && !rule.textRe.test((el.textContent || "").trim().slice(0, 200))) return false;
+    return true;
+  }
+
+  // queryAll(selector) -> Element[] (lets content.js search shadow roots / iframes)
+  // -> { signals: [ruleId...], confidence: 0..1 }
+  if (!self.AIPG.evaluateAiUiRules) {
+    self.AIPG.evaluateAiUiRules = function evaluateAiUiRules(compiled, queryAll) {
+      const signals = [];
+      let miss = 1;
+      for (const rule of compiled.aiUi) {
+        let els;
+        try { els = queryAll(rule.selector); } catch { continue; }
+        if (!els.slice(0, MAX_ELEMENTS_PER_RULE).some(el => ruleMatches(rule, el))) continue;
+        signals.push(rule.id);
+        miss *= (1 - rule.weight);
+      }
+      return { signals, confidence: Math.round((1 - miss) * 100) / 100 };
+    };
+  }
+
+  // Is el (or an ancestor, through shadow hosts) an element some AI UI rule matches?
+  // Only rules that reach the threshold on their own count. -> rule id or ""
+  if (!self.AIPG.closestAiUiRule) {
+    self.AIPG.closestAiUiRule = function closestAiUiRule(compiled, el) {
+      const strong = compiled.aiUi.filter(r => r.weight >= compiled.threshold);
+      for (let depth = 0; el && depth < 30; depth++) {
+        if (el.nodeType === 1) {
+          for (const rule of strong) {
+            let hit = false;
+            try { hit = el.matches(rule.selector) && ruleMatches(rule, el); } catch { hit = false; }
+            if (hit) return rule.id;
+          }
+        }
+        el = el.parentElement || (el.getRootNode && el.getRootNode().host) || null;
+      }
+      return "";
+    };
+  }
+
+  // inputs: Element[] of input/textarea; attrPattern is tested against "type name id placeholder"
+  if (!self.AIPG.countSensitiveFields) {
+    self.AIPG.countSensitiveFields = function countSensitiveFields(compiled, inputs) {
+      const res = { password: 0, email: 0, credit: 0, id: 0 };
+      for (const el of inputs) {
+        const blob = ["type", "name", "id", "placeholder"]
+          .map(a => (el.getAttribute(a) || "").toLowerCase())
+          .join(" ");
+        const hitFields = new Set(); // each input counts once per field
+        for (const rule of compiled.fields) {
+          if (hitFields.has(rule.field)) continue;
+          let hit = false;
+          try { hit = rule.selector ? el.matches(rule.selector) : true; } catch { hit = false; }
+          if (hit && rule.attrRe) hit = rule.attrRe.test(blob);
+          if (hit) hitFields.add(rule.field);
+        }
+        for (const f of hitFields) res[f]++;
+      }
+      return res;
+    };
+  }
+})();
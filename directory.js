@@ -2,9 +2,9 @@
   const list = document.getElementById("list");
   const q = document.getElementById("q");
 
-  const packaged = await fetch(chrome.runtime.getURL("data/ai_domains.json")).then(r=>r.json());
-  const { customDomains = [] } = await new Promise(res => chrome.storage.local.get(["customDomains"], res));
-  const domains = Array.from(new Set([...customDomains, ...packaged])).sort();
+  // Background merges packaged + custom domains (managed customDomains win over local)
+  const { domains: merged = [] } = await new Promise(res => chrome.runtime.sendMessage({ type: "REQUEST_AI_DOMAINS" }, (r) => res(r || {})));
+  const domains = Array.from(new Set(merged)).sort();
 
   function render(items) {
     list.innerHTML = items.map(d=>`<li>${d}</li>`).join("");
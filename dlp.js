@@ -0,0 +1,276 @@
+// dlp.js (classic, guarded assignments)
+// Local sensitive-content classifier shared by content.js and background.js.
+// Only match types, counts and offsets are returned — callers must never
+// persist or transmit the matched values themselves.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  // Human-readable labels (singular / plural) used in the router modal
+  const LABELS = {
+    privateKey: ["private key", "private keys"],
+    jwt:        ["JWT", "JWTs"],
+    apiKey:     ["API key", "API keys"],
+    iban:       ["IBAN", "IBANs"],
+    card:       ["card number", "card numbers"],
+    nationalId: ["national ID", "national IDs"],
+    email:      ["email address", "email addresses"],
+    phone:      ["phone number", "phone numbers"]
+  };
+
+  // Order matters: earlier detectors win when two matches overlap
+  const DETECTORS = [
+    { type: "privateKey", re: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g },
+    { type: "jwt",        re: /\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { type: "apiKey",     re: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|sk_live_[A-Za-z0-9]{16,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|gh[pousr]_[A-Za-z0-9]{36,}|xox[abprs]-[A-Za-z0-9-]{10,})/g },
+    { type: "iban",       re: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: ibanValid },
+    { type: "card",       re: /\b(?:\d[ -]?){12,18}\d\b/g, validate: luhnValid },
+    // US SSN and UK National Insurance number
+    { type: "nationalId", re: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b|\b[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+    // Bounded (RFC 5321 lengths) so long runs of dots or dashes can't backtrack quadratically
+    { type: "email",      re: /\b[A-Za-z0-9._%+-]{1,64}@[A-Za-z0-9.-]{1,253}\.[A-Za-z]{2,63}\b/g },
+    // Phone numbers only in the usual shapes: +country code, (area) code, 3-3-4 with one
+    // separator, or a 0 trunk prefix. Never inside a dotted quad or a longer number.
+    { type: "phone",      re: /(?<![\w+.])(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{1,8}){1,5}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]\d{3,4}|\d{3}([ .-])\d{3}\1\d{4}|0\d{2,4}[ -]\d{3,4}[ -]?\d{3,4})(?![\w]|\.\d)/g, validate: phoneValid }
+  ];
+
+  function luhnValid(s) {
+    const digits = s.replace(/\D/g, "");
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0, dbl = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let d = digits.charCodeAt(i) - 48;
+      if (dbl) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+      dbl = !dbl;
+    }
+    return sum % 10 === 0;
+  }
+
+  // ISO 13616 mod-97 check
+  function ibanValid(s) {
+    const iban = s.replace(/ /g, "");
+    if (iban.length < 15 || iban.length > 34) return false;
+    const moved = iban.slice(4) + iban.slice(0, 4);
+    let rem = 0;
+    for (const ch of moved) {
+      const v = /[A-Z]/.test(ch) ? String(ch.charCodeAt(0) - 55) : ch;
+      for (const c of v) rem = (rem * 10 + (c.charCodeAt(0) - 48)) % 97;
+    }
+    return rem === 1;
+  }
+
+  function phoneValid(s) {
+    const n = s.replace(/\D/g, "").length;
+    return n >= 9 && n <= 15;
+  }
+
+  if (!self.AIPG.SENSITIVE_CONTENT_TYPES) {
+    self.AIPG.SENSITIVE_CONTENT_TYPES = Object.keys(LABELS);
+  }
+
+  // -> [{ type, start, end }] sorted by position, non-overlapping
+  if (!self.AIPG.findSensitive) {
+    self.AIPG.findSensitive = function findSensitive(text) {
+      const s = String(text || "");
+      const spans = [];
+      if (!s) return spans;
+      for (const d of DETECTORS) {
+        d.re.lastIndex = 0;
+        let m;
+        while ((m = d.re.exec(s))) {
+          if (!m[0]) { d.re.lastIndex++; continue; }
+          const start = m.index, end = start + m[0].length;
+          if (d.validate && !d.validate(m[0])) continue;
+          if (spans.some(x => start < x.end && end > x.start)) continue;
+          spans.push({ type: d.type, start, end });
+        }
+      }
+      return spans.sort((a, b) => a.start - b.start);
+    };
+  }
+
+  // -> { total, counts: { email: 2, apiKey: 1, ... } }
+  if (!self.AIPG.classifyText) {
+    self.AIPG.classifyText = function classifyText(text) {
+      const counts = {};
+      const spans = self.AIPG.findSensitive(text);
+      for (const sp of spans) counts[sp.type] = (counts[sp.type] || 0) + 1;
+      return { total: spans.length, counts };
+    };
+  }
+
+  // Replace every match with a [TYPE] marker (safe for logs)
+  if (!self.AIPG.maskSensitive) {
+    self.AIPG.maskSensitive = function maskSensitive(text) {
+      const s = String(text || "");
+      let out = "", pos = 0;
+      for (const sp of self.AIPG.findSensitive(s)) {
+        out += s.slice(pos, sp.start) + "[" + sp.type.toUpperCase() + "]";
+        pos = sp.end;
+      }
+      return out + s.slice(pos);
+    };
+  }
+
+  // ------------------ Reversible redaction ------------------
+  // A vault maps placeholders like [EMAIL_1] <-> original values. It lives only in
+  // the content script's isolated world and is never sent to background or logs.
+  const PLACEHOLDER_NAMES = {
+    privateKey: "PRIVATE_KEY", jwt: "JWT", apiKey: "API_KEY", iban: "IBAN",
+    card: "CARD", nationalId: "NATIONAL_ID", email: "EMAIL", phone: "PHONE"
+  };
+
+  if (!self.AIPG.createRedactionVault) {
+    self.AIPG.createRedactionVault = function createRedactionVault() {
+      return { byValue: new Map(), byPlaceholder: new Map(), counters: {} };
+    };
+  }
+
+  // -> { text, replaced } ; the same value always maps to the same placeholder
+  if (!self.AIPG.redactText) {
+    self.AIPG.redactText = function redactText(text, vault) {
+      const s = String(text || "");
+      let out = "", pos = 0, replaced = 0;
+      for (const sp of self.AIPG.findSensitive(s)) {
+        const value = s.slice(sp.start, sp.end);
+        let ph = vault.byValue.get(value);
+        if (!ph) {
+          const name = PLACEHOLDER_NAMES[sp.type] || "SECRET";
+          vault.counters[name] = (vault.counters[name] || 0) + 1;
+          ph = `[${name}_${vault.counters[name]}]`;
+          vault.byValue.set(value, ph);
+          vault.byPlaceholder.set(ph, value);
+        }
+        out += s.slice(pos, sp.start) + ph;
+        pos = sp.end;
+        replaced++;
+      }
+      return { text: out + s.slice(pos), replaced };
+    };
+  }
+
+  // Swap known placeholders back to their original values (unknown ones are left as-is)
+  if (!self.AIPG.restoreText) {
+    self.AIPG.restoreText = function restoreText(text, vault) {
+      const s = String(text || "");
+      if (!vault || !vault.byPlaceholder.size) return s;
+      return s.replace(/\[[A-Z_]+_\d+\]/g, (ph) => vault.byPlaceholder.get(ph) ?? ph);
+    };
+  }
+
+  // Findings arrive from page processes: keep known types with sane integer counts only
+  if (!self.AIPG.normalizeFindings) {
+    self.AIPG.normalizeFindings = function normalizeFindings(obj) {
+      const out = {};
+      if (!obj || typeof obj !== "object") return out;
+      for (const k of Object.keys(LABELS)) {
+        const n = Math.floor(Number(obj[k]) || 0);
+        if (n > 0) out[k] = Math.min(n, 999);
+      }
+      return out;
+    };
+  }
+
+  // { email: 2, apiKey: 1 } -> "2 email addresses, 1 API key"
+  if (!self.AIPG.describeFindings) {
+    self.AIPG.describeFindings = function describeFindings(counts) {
+      return Object.entries(counts || {})
+        .filter(([k, n]) => LABELS[k] && n > 0)
+        .map(([k, n]) => `${n} ${LABELS[k][n === 1 ? 0 : 1]}`)
+        .join(", ");
+    };
+  }
+
+  // ------------------ Paste / drop / file upload metadata ------------------
+  // Category by extension first, MIME type as fallback
+  const TRANSFER_CATEGORIES = [
+    { id: "spreadsheet", ext: ["csv","tsv","xls","xlsx","xlsm","ods","numbers"], mime: /spreadsheet|excel|csv/ },
+    { id: "document",    ext: ["pdf","doc","docx","odt","rtf","ppt","pptx","odp","pages","md","txt"], mime: /pdf|word|presentation|powerpoint|opendocument\.text|rtf/ },
+    { id: "credential",  ext: ["pem","key","p12","pfx","jks","keystore","env","kdbx","ovpn"], mime: /x-pem|pkcs/ },
+    { id: "data",        ext: ["sql","json","xml","yaml","yml","db","sqlite","parquet","bak","log"], mime: /json|xml|yaml|sql/ },
+    { id: "code",        ext: ["js","ts","jsx","tsx","py","java","go","rb","cs","c","h","cpp","php","sh","ps1","kt","swift","rs"], mime: /javascript|x-python|x-java|x-sh/ },
+    { id: "archive",     ext: ["zip","7z","rar","tar","gz","tgz","bz2"], mime: /zip|compressed|x-tar|x-7z|x-rar/ },
+    { id: "image",       ext: ["png","jpg","jpeg","gif","webp","bmp","heic","svg"], mime: /^image\// },
+    { id: "media",       ext: ["mp3","wav","m4a","mp4","mov","webm"], mime: /^(audio|video)\// }
+  ];
+  const SENSITIVE_TRANSFER_CATEGORIES = ["spreadsheet", "document", "credential", "data", "code", "archive"];
+  const TRANSFER_KINDS = ["paste", "drop", "file_upload"];
+  const DEFAULT_LARGE_TRANSFER_BYTES = 20000;
+
+  function fileExtension(name) {
+    const m = /\.([A-Za-z0-9]{1,10})$/.exec(String(name || ""));
+    return m ? m[1].toLowerCase() : "";
+  }
+
+  function categorizeFile(ext, mime) {
+    const byExt = TRANSFER_CATEGORIES.find(c => c.ext.includes(ext));
+    if (byExt) return byExt.id;
+    const byMime = TRANSFER_CATEGORIES.find(c => c.mime.test(mime || ""));
+    return byMime ? byMime.id : "other";
+  }
+
+  // true when a transfer should be treated as sensitive under the given size threshold
+  if (!self.AIPG.isSensitiveTransfer) {
+    self.AIPG.isSensitiveTransfer = function isSensitiveTransfer(meta, largeBytes) {
+      if (!meta) return false;
+      const limit = Number(largeBytes) || DEFAULT_LARGE_TRANSFER_BYTES;
+      if ((meta.bytes || 0) >= limit) return true;
+      if ((meta.categories || []).some(c => SENSITIVE_TRANSFER_CATEGORIES.includes(c))) return true;
+      return Object.values(meta.findings || {}).some(n => n > 0);
+    };
+  }
+
+  // files: File-like [{ name, type, size }], text: pasted/dropped plain text.
+  // File names are reduced to extensions; text is reduced to finding counts.
+  if (!self.AIPG.classifyTransfer) {
+    self.AIPG.classifyTransfer = function classifyTransfer(kind, files, text) {
+      const list = Array.from(files || []);
+      const mimeTypes = new Set(), extensions = new Set(), categories = new Set();
+      let bytes = 0;
+      for (const f of list) {
+        const ext = fileExtension(f.name);
+        const mime = String(f.type || "").toLowerCase();
+        if (mime) mimeTypes.add(mime);
+        if (ext) extensions.add(ext);
+        categories.add(categorizeFile(ext, mime));
+        bytes += Number(f.size) || 0;
+      }
+      const s = String(text || "");
+      if (s) {
+        mimeTypes.add("text/plain");
+        categories.add("text");
+        bytes += new TextEncoder().encode(s).length;
+      }
+      return {
+        kind,
+        fileCount: list.length,
+        bytes,
+        mimeTypes: [...mimeTypes],
+        extensions: [...extensions],
+        categories: [...categories],
+        findings: s ? self.AIPG.classifyText(s).counts : {}
+      };
+    };
+  }
+
+  // Transfer metadata arrives from page processes: keep known shapes only
+  if (!self.AIPG.normalizeTransfer) {
+    self.AIPG.normalizeTransfer = function normalizeTransfer(meta) {
+      const m = meta && typeof meta === "object" ? meta : {};
+      const strList = (arr, re) => (Array.isArray(arr) ? arr : [])
+        .map(v => String(v).toLowerCase())
+        .filter(v => re.test(v))
+        .slice(0, 10);
+      const knownCategories = ["text", "other", ...TRANSFER_CATEGORIES.map(c => c.id)];
+      return {
+        kind: TRANSFER_KINDS.includes(m.kind) ? m.kind : "paste",
+        fileCount: Math.max(0, Math.min(999, Math.floor(Number(m.fileCount) || 0))),
+        bytes: Math.max(0, Math.floor(Number(m.bytes) || 0)),
+        mimeTypes: strList(m.mimeTypes, /^[a-z0-9.+-]+\/[a-z0-9.+-]+$/),
+        extensions: strList(m.extensions, /^[a-z0-9]{1,10}$/),
+        categories: strList(m.categories, /^[a-z]+$/).filter(c => knownCategories.includes(c)),
+        findings: self.AIPG.normalizeFindings(m.findings)
+      };
+    };
+  }
+})();
@@ -0,0 +1,349 @@
+// events.js (classic, guarded assignments)
+// Event log in IndexedDB (database "aipg-events", store "events"), shared by the
+// service worker and extension pages. A record is what appendLog() builds, plus:
+//   seq       auto-increment primary key: insertion order
+//   id        random UUID, stable across exports
+//   time      ts as epoch ms
+//   prevHash  eventHash of the record before it
+//   eventHash sha256(prevHash + "|" + canonical JSON of the record without seq / eventHash)
+// (not "hash": prompt events already use that for the prompt's own hash)
+// Indexes: time, host, kind, decision. Appends are queued and written in batches, each
+// batch in one readwrite transaction, so concurrent events never overwrite each other.
+//
+// The hash chain makes edits and deletions visible (verifyEvents). Writers take a
+// Web Lock so the service worker and Options never fork it. Removing the oldest
+// events (retention) or clearing records the hash they ended on in the "meta" store
+// ("anchor"); clearing also writes a "log_cleared" checkpoint that seals that hash.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const DB_NAME = "aipg-events";
+  const DB_VERSION = 2;
+  const STORE = "events";
+  const META = "meta";
+  const LOCK = "aipg-events-write";
+  const GENESIS = "0".repeat(64);
+  const BATCH_DELAY_MS = 50;
+  const BATCH_MAX = 200;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let dbPromise = null;
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        if (e.oldVersion < 1) {
+          const store = db.createObjectStore(STORE, { keyPath: "seq", autoIncrement: true });
+          store.createIndex("id", "id", { unique: true });
+          store.createIndex("time", "time");
+          store.createIndex("host", "host");
+          store.createIndex("kind", "kind");
+          store.createIndex("decision", "decision");
+        }
+        // v2: hash chain. Records written by v1 have no hash and stay outside the chain.
+        if (e.oldVersion < 2) db.createObjectStore(META);
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // A newer version opened elsewhere (extension update): let it upgrade
+        db.onversionchange = () => { db.close(); dbPromise = null; };
+        resolve(db);
+      };
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  function committed(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function result(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  // Walks a cursor request; visit(value) returns false to stop
+  function walk(req, visit) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || visit(cursor) === false) return resolve();
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function toMs(v) {
+    if (v == null || v === "") return null;
+    const n = typeof v === "number" ? v : Date.parse(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // One chain writer at a time across the service worker and extension pages
+  function withWriteLock(fn) {
+    return self.navigator?.locks ? navigator.locks.request(LOCK, fn) : fn();
+  }
+
+  function chainHash(prevHash, record) {
+    const { seq, eventHash, ...body } = record;
+    return self.AIPG.sha256(prevHash + "|" + self.AIPG.canonicalJson(body));
+  }
+
+  // Hash the next record must link to: the newest hashed record, else the anchor
+  // left by retention / clearing, else the genesis value
+  async function headHash(db) {
+    const tx = db.transaction([STORE, META], "readonly");
+    let head = "";
+    await walk(tx.objectStore(STORE).openCursor(null, "prev"), (cursor) => {
+      head = cursor.value.eventHash || "";
+      return false;
+    });
+    if (head) return head;
+    const anchor = await result(tx.objectStore(META).get("anchor"));
+    return anchor?.hash || GENESIS;
+  }
+
+  // Links records (in order) onto prevHash; sha256 is async, so this runs before the write transaction
+  async function link(records, prevHash) {
+    let prev = prevHash;
+    for (const r of records) {
+      r.prevHash = prev;
+      r.eventHash = await chainHash(prev, r);
+      prev = r.eventHash;
+    }
+    return prev;
+  }
+
+  // ------------------ Batched appends ------------------
+  let queue = [];
+  let timer = null;
+  const addedListeners = [];
+
+  async function flush() {
+    clearTimeout(timer);
+    timer = null;
+    const batch = queue;
+    queue = [];
+    if (!batch.length) return;
+    try {
+      await withWriteLock(async () => {
+        const db = await openDb();
+        await link(batch.map(item => item.record), await headHash(db));
+        const tx = db.transaction(STORE, "readwrite");
+        const done = committed(tx);
+        const store = tx.objectStore(STORE);
+        for (const item of batch) store.add(item.record);
+        await done;
+      });
+      batch.forEach(item => item.resolve(item.record));
+      addedListeners.forEach((fn) => { try { fn(batch.length); } catch { /* listener's problem */ } });
+    } catch (e) {
+      batch.forEach(item => item.reject(e));
+    }
+  }
+
+  function newRecord(entry) {
+    return {
+      id: crypto.randomUUID(),
+      ...entry,
+      time: toMs(entry?.ts) ?? Date.now()
+    };
+  }
+
+  // Queues one record; resolves with it (seq filled in) once its batch is committed
+  if (!self.AIPG.addEvent) {
+    self.AIPG.addEvent = function addEvent(entry) {
+      const record = newRecord(entry);
+      return new Promise((resolve, reject) => {
+        queue.push({ record, resolve, reject });
+        if (queue.length >= BATCH_MAX) flush();
+        else if (!timer) timer = setTimeout(flush, BATCH_DELAY_MS);
+      });
+    };
+  }
+
+  // Writes whatever is queued now (queries call this so they see their own appends)
+  if (!self.AIPG.flushEvents) {
+    self.AIPG.flushEvents = function flushEvents() {
+      return flush();
+    };
+  }
+
+  // Called (in this context) after each committed batch with its size
+  if (!self.AIPG.onEventsAdded) {
+    self.AIPG.onEventsAdded = function onEventsAdded(fn) {
+      addedListeners.push(fn);
+    };
+  }
+
+  // ------------------ Queries ------------------
+  // filter: { afterSeq, from, to (ms or ISO), kinds: [..], host, decision, limit, newestFirst }
+  // -> records in insertion order (newest first if asked)
+  if (!self.AIPG.queryEvents) {
+    self.AIPG.queryEvents = async function queryEvents(filter = {}) {
+      await flush();
+      const from = toMs(filter.from);
+      const to = toMs(filter.to);
+      const kinds = (filter.kinds || []).filter(Boolean);
+      const host = String(filter.host || "").trim().toLowerCase();
+      const decision = String(filter.decision || "").trim();
+      const limit = Number(filter.limit) > 0 ? Number(filter.limit) : 0;
+      const afterSeq = Number(filter.afterSeq) > 0 ? Number(filter.afterSeq) : null;
+
+      const matches = (r) =>
+        (from == null || r.time >= from) &&
+        (to == null || r.time <= to) &&
+        (!kinds.length || kinds.includes(r.kind)) &&
+        (!host || r.host === host) &&
+        (!decision || r.decision === decision) &&
+        (afterSeq == null || r.seq > afterSeq);
+
+      const db = await openDb();
+      const store = db.transaction(STORE, "readonly").objectStore(STORE);
+      // Narrowest index first; an exact-match index walks in seq order like the store
+      let source = store, range = null;
+      if (afterSeq != null) range = IDBKeyRange.lowerBound(afterSeq, true);
+      else if (host) { source = store.index("host"); range = IDBKeyRange.only(host); }
+      else if (decision) { source = store.index("decision"); range = IDBKeyRange.only(decision); }
+      else if (kinds.length === 1) { source = store.index("kind"); range = IDBKeyRange.only(kinds[0]); }
+      else if (from != null || to != null) {
+        source = store.index("time");
+        range = from != null && to != null ? IDBKeyRange.bound(from, to)
+          : (from != null ? IDBKeyRange.lowerBound(from) : IDBKeyRange.upperBound(to));
+      }
+
+      const out = [];
+      await walk(source.openCursor(range, filter.newestFirst ? "prev" : "next"), (cursor) => {
+        if (matches(cursor.value)) out.push(cursor.value);
+        return !(limit && out.length >= limit);
+      });
+      return out.sort((a, b) => filter.newestFirst ? b.seq - a.seq : a.seq - b.seq);
+    };
+  }
+
+  // All events, or only those after a seq (e.g. not yet forwarded)
+  if (!self.AIPG.countEvents) {
+    self.AIPG.countEvents = async function countEvents(afterSeq = 0) {
+      await flush();
+      const db = await openDb();
+      const store = db.transaction(STORE, "readonly").objectStore(STORE);
+      return result(afterSeq > 0 ? store.count(IDBKeyRange.lowerBound(afterSeq, true)) : store.count());
+    };
+  }
+
+  // Events after forwardedSeq (the last one a collector accepted) that a clear or
+  // prune removes never reach the collector: the checkpoint says how many went
+  function unforwardedStats(forwardedSeq) {
+    const seq = Number(forwardedSeq);
+    return forwardedSeq != null && seq >= 0 ? { forwardedSeq: seq, unforwarded: 0 } : null;
+  }
+
+  // Removes every event and writes a "log_cleared" checkpoint in their place, chained
+  // onto (and sealing) the hash the cleared log ended on. checkpoint: extra fields for
+  // it (logEntry() in utils.js adds ts / userId / userRole); forwardedSeq: see
+  // unforwardedStats -> the checkpoint record
+  if (!self.AIPG.clearEvents) {
+    self.AIPG.clearEvents = async function clearEvents(checkpoint = {}, { forwardedSeq } = {}) {
+      await flush();
+      return withWriteLock(async () => {
+        const db = await openDb();
+        const sealedHash = await headHash(db);
+        const stats = { removed: 0, firstSeq: null, lastSeq: null };
+        const gap = unforwardedStats(forwardedSeq);
+        await walk(db.transaction(STORE, "readonly").objectStore(STORE).openCursor(), (cursor) => {
+          stats.removed++;
+          if (stats.firstSeq == null) stats.firstSeq = cursor.value.seq;
+          stats.lastSeq = cursor.value.seq;
+          if (gap && cursor.value.seq > gap.forwardedSeq) gap.unforwarded++;
+        });
+        if (gap?.unforwarded) Object.assign(stats, gap);
+        const record = newRecord({ ...checkpoint, kind: "log_cleared", ...stats, sealedHash });
+        await link([record], sealedHash);
+
+        const tx = db.transaction([STORE, META], "readwrite");
+        const done = committed(tx);
+        tx.objectStore(STORE).clear();
+        tx.objectStore(META).put({ hash: sealedHash, seq: stats.lastSeq, at: Date.now() }, "anchor");
+        tx.objectStore(STORE).add(record);
+        await done;
+        return record;
+      });
+    };
+  }
+
+  // Retention: drops events older than maxAgeDays, then the oldest beyond maxEvents
+  // (0 / unset = no limit) -> { removed, forwardedSeq?, unforwarded? } (see
+  // unforwardedStats). Only ever a prefix of the log goes, so the chain stays
+  // verifiable from the anchor.
+  if (!self.AIPG.pruneEvents) {
+    self.AIPG.pruneEvents = async function pruneEvents({ maxAgeDays, maxEvents, forwardedSeq } = {}) {
+      await flush();
+      return withWriteLock(async () => {
+        const db = await openDb();
+        const tx = db.transaction([STORE, META], "readwrite");
+        const done = committed(tx);
+        const store = tx.objectStore(STORE);
+        const cutoff = Number(maxAgeDays) > 0 ? Date.now() - Number(maxAgeDays) * DAY_MS : -Infinity;
+        let excess = Number(maxEvents) > 0 ? (await result(store.count())) - Number(maxEvents) : 0;
+        const gap = unforwardedStats(forwardedSeq);
+        let removed = 0, last = null;
+        await walk(store.openCursor(), (cursor) => {
+          if (!(excess > 0 || cursor.value.time < cutoff)) return false;
+          last = cursor.value;
+          if (gap && last.seq > gap.forwardedSeq) gap.unforwarded++;
+          cursor.delete();
+          removed++;
+          excess--;
+        });
+        if (last?.eventHash) tx.objectStore(META).put({ hash: last.eventHash, seq: last.seq, at: Date.now() }, "anchor");
+        await done;
+        return { removed, ...(gap?.unforwarded ? gap : {}) };
+      });
+    };
+  }
+
+  // Walks the chain from the oldest event -> { ok, checked, unchained (pre-chain
+  // events), headHash } or { ok: false, checked, broken: { seq, id, ts, kind, reason } }
+  if (!self.AIPG.verifyEvents) {
+    self.AIPG.verifyEvents = async function verifyEvents() {
+      await flush();
+      const db = await openDb();
+      const tx = db.transaction([STORE, META], "readonly");
+      const anchor = await result(tx.objectStore(META).get("anchor"));
+      const records = [];
+      await walk(tx.objectStore(STORE).openCursor(), (cursor) => { records.push(cursor.value); });
+
+      let prev = null, checked = 0, unchained = 0;
+      const broken = (r, reason) => ({
+        ok: false,
+        checked,
+        broken: { seq: r.seq, id: r.id || "", ts: r.ts || "", kind: r.kind || "", reason }
+      });
+      for (const r of records) {
+        if (!r.eventHash) {
+          if (prev === null) { unchained++; continue; }
+          return broken(r, "Event has no hash");
+        }
+        const expected = prev ?? (anchor?.hash || GENESIS);
+        if (r.prevHash !== expected) {
+          return broken(r, prev === null
+            ? "Oldest event does not continue from the last retention or clear checkpoint"
+            : "Previous event was removed or replaced");
+        }
+        if (await chainHash(r.prevHash, r) !== r.eventHash) return broken(r, "Event was modified");
+        prev = r.eventHash;
+        checked++;
+      }
+      return { ok: true, checked, unchained, headHash: prev || anchor?.hash || GENESIS };
+    };
+  }
+})();
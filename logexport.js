@@ -0,0 +1,220 @@
+// logexport.js (classic, guarded assignments)
+// Log export for SIEM / spreadsheet use. Every event kind background.js emits maps
+// onto one normalized record, and every format is written from that record:
+//   timestamp, id, seq, kind, name, category, severity (0-10), outcome, host, url,
+//   decision (user's router choice), policyAction, ruleId, risk, profileId, trigger,
+//   userId, userRole, eventHash, details (all remaining fields of the event)
+// Formats: "ndjson", "csv", "cef", "ecs" (normalized) and "json": the stored events
+// unchanged (hash chain intact) with the verification report.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const PRODUCT = "AI Privacy Guard Pro";
+  const VENDOR = "AIPG";
+
+  // kind -> display name, category, default severity, ECS event.category
+  const EVENT_KINDS = {
+    domain_detected:          { name: "AI domain visited",              category: "detection",     severity: 3, ecs: "web" },
+    ui_detected:              { name: "AI UI detected",                 category: "detection",     severity: 3, ecs: "web" },
+    ui_detected_suppressed:   { name: "AI UI detected (allowed)",       category: "detection",     severity: 1, ecs: "web" },
+    ai_api_call:              { name: "AI API call",                    category: "detection",     severity: 4, ecs: "network" },
+    prompt_submit:            { name: "Prompt submitted",               category: "detection",     severity: 4, ecs: "web" },
+    prompt:                   { name: "Prompt recorded",                category: "detection",     severity: 2, ecs: "web" },
+    paste:                    { name: "Paste into AI prompt",           category: "detection",     severity: 4, ecs: "web" },
+    drop:                     { name: "Drop into AI prompt",            category: "detection",     severity: 4, ecs: "file" },
+    file_upload:              { name: "File upload to AI",              category: "detection",     severity: 5, ecs: "file" },
+    router_decision:          { name: "Router decision",                category: "policy",        severity: 5, ecs: "web" },
+    router_decision_rejected: { name: "Router decision rejected",       category: "security",      severity: 7, ecs: "intrusion_detection" },
+    navigation_blocked:       { name: "Navigation blocked",             category: "policy",        severity: 6, ecs: "web" },
+    policy_reprompt:          { name: "Re-prompt after policy change",  category: "policy",        severity: 2, ecs: "web" },
+    pin_attempt:              { name: "Admin PIN attempt",              category: "security",      severity: 5, ecs: "authentication" },
+    override_attempt:         { name: "Override code attempt",          category: "security",      severity: 5, ecs: "authentication" },
+    pin_changed:              { name: "Admin PIN changed",              category: "configuration", severity: 6, ecs: "configuration" },
+    access_requested:         { name: "Access requested",               category: "access",        severity: 3, ecs: "iam" },
+    access_approved:          { name: "Access approved",                category: "access",        severity: 5, ecs: "iam" },
+    access_denied:            { name: "Access denied",                  category: "access",        severity: 3, ecs: "iam" },
+    list_entry_expired:       { name: "List entry expired",             category: "configuration", severity: 2, ecs: "configuration" },
+    log_pruned:               { name: "Log retention applied",          category: "audit",         severity: 3, ecs: "configuration" },
+    log_cleared:              { name: "Log cleared",                    category: "audit",         severity: 8, ecs: "configuration" }
+  };
+
+  const CSV_COLUMNS = [
+    "timestamp", "id", "seq", "kind", "name", "category", "severity", "outcome", "host", "url",
+    "decision", "policyAction", "ruleId", "risk", "profileId", "trigger", "userId", "userRole", "eventHash", "details"
+  ];
+
+  if (!self.AIPG.EVENT_KINDS) {
+    self.AIPG.EVENT_KINDS = EVENT_KINDS;
+  }
+
+  function hostOf(url) {
+    try { return new URL(url).hostname.toLowerCase(); } catch { return ""; }
+  }
+
+  function numberOrNull(v) {
+    if (v == null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  if (!self.AIPG.normalizeEvent) {
+    self.AIPG.normalizeEvent = function normalizeEvent(r) {
+      const {
+        seq, id, ts, time, kind, host, tabUrl, pageUrl, risk, decision, policyAction, policyRuleId,
+        profileId, trigger, userId, userRole, eventHash, prevHash, ...details
+      } = r || {};
+      const meta = EVENT_KINDS[kind] || { name: kind || "event", category: "other", severity: 3, ecs: "web" };
+      const url = tabUrl || pageUrl || "";
+      const riskScore = numberOrNull(risk);
+      const ms = numberOrNull(time) ?? Date.parse(ts);
+      return {
+        timestamp: Number.isFinite(ms) ? new Date(ms).toISOString() : "",
+        id: id || "",
+        seq: seq ?? null,
+        kind: kind || "",
+        name: meta.name,
+        category: meta.category,
+        // Risk-scored events take their severity from the score
+        severity: riskScore != null ? Math.max(0, Math.min(10, Math.round(riskScore / 10))) : meta.severity,
+        outcome: typeof details.ok === "boolean" ? (details.ok ? "success" : "failure") : "",
+        host: host || hostOf(url),
+        url,
+        decision: decision || "",
+        policyAction: policyAction || "",
+        ruleId: policyRuleId || "",
+        risk: riskScore,
+        profileId: profileId || "",
+        trigger: trigger || "",
+        userId: userId || "",
+        userRole: userRole || "",
+        eventHash: eventHash || "",
+        details
+      };
+    };
+  }
+
+  // Stored events matching an export filter: { from, to, kinds, host (and subdomains),
+  // decision (router choice or policy action), minRisk }; judged on the normalized form
+  if (!self.AIPG.queryExportEvents) {
+    self.AIPG.queryExportEvents = async function queryExportEvents(filter = {}) {
+      const raw = await self.AIPG.queryEvents({ from: filter.from, to: filter.to, kinds: filter.kinds });
+      const host = String(filter.host || "").trim().toLowerCase().replace(/^\*\./, "");
+      const decision = String(filter.decision || "").trim();
+      const minRisk = numberOrNull(filter.minRisk);
+      return raw.filter((r) => {
+        const e = self.AIPG.normalizeEvent(r);
+        return (!host || e.host === host || e.host.endsWith("." + host)) &&
+          (!decision || e.decision === decision || e.policyAction === decision) &&
+          (minRisk == null || (e.risk != null && e.risk >= minRisk));
+      });
+    };
+  }
+
+  // ------------------ Formats ------------------
+  function csvCell(v) {
+    if (v == null) return "";
+    let s = typeof v === "object" ? JSON.stringify(v) : String(v);
+    // Spreadsheets run cells starting with these as formulas
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function cefHeader(v) {
+    return String(v ?? "").replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/[\r\n]+/g, " ");
+  }
+
+  function cefValue(v) {
+    return String(v ?? "").replace(/\\/g, "\\\\").replace(/=/g, "\\=").replace(/\r/g, "\\r").replace(/\n/g, "\\n");
+  }
+
+  function toCef(e, version) {
+    const ext = [
+      ["rt", e.timestamp ? Date.parse(e.timestamp) : ""],
+      ["externalId", e.id],
+      ["cat", e.category],
+      ["dhost", e.host],
+      ["request", e.url],
+      ["act", e.decision || e.policyAction],
+      ["outcome", e.outcome],
+      ["suid", e.userId],
+      ["cs1Label", "profileId"], ["cs1", e.profileId],
+      ["cs2Label", "policyRuleId"], ["cs2", e.ruleId],
+      ["cs3Label", "trigger"], ["cs3", e.trigger],
+      ["cs4Label", "userRole"], ["cs4", e.userRole],
+      ["cs5Label", "details"], ["cs5", Object.keys(e.details).length ? JSON.stringify(e.details) : ""],
+      ["cs6Label", "eventHash"], ["cs6", e.eventHash],
+      ["cn1Label", "risk"], ["cn1", e.risk ?? ""]
+    ].filter(([, v]) => v !== "" && v != null);
+    // A label without its value is noise
+    const present = new Set(ext.map(([k]) => k));
+    const fields = ext.filter(([k]) => !k.endsWith("Label") || present.has(k.slice(0, -5)));
+    return `CEF:0|${cefHeader(VENDOR)}|${cefHeader(PRODUCT)}|${cefHeader(version)}|${cefHeader(e.kind)}|${cefHeader(e.name)}|${e.severity}|` +
+      fields.map(([k, v]) => `${k}=${cefValue(v)}`).join(" ");
+  }
+
+  // ECS-style document (event.*, url.*, user.*, rule.*); product specifics under aipg.*
+  function toEcs(e, version) {
+    const meta = EVENT_KINDS[e.kind] || { ecs: "web" };
+    const doc = {
+      "@timestamp": e.timestamp,
+      message: e.name,
+      event: {
+        id: e.id,
+        kind: "event",
+        category: [meta.ecs],
+        action: e.kind,
+        ...(e.outcome ? { outcome: e.outcome } : {}),
+        severity: e.severity,
+        ...(e.risk != null ? { risk_score: e.risk } : {}),
+        ...(e.seq != null ? { sequence: e.seq } : {}),
+        ...(e.eventHash ? { hash: e.eventHash } : {})
+      },
+      observer: { vendor: VENDOR, product: PRODUCT, version, type: "browser-extension" }
+    };
+    if (e.url || e.host) doc.url = { ...(e.url ? { full: e.url } : {}), ...(e.host ? { domain: e.host } : {}) };
+    if (e.userId || e.userRole) doc.user = { ...(e.userId ? { id: e.userId } : {}), ...(e.userRole ? { roles: [e.userRole] } : {}) };
+    if (e.ruleId) doc.rule = { id: e.ruleId };
+    doc.aipg = {
+      category: e.category,
+      ...(e.decision ? { decision: e.decision } : {}),
+      ...(e.policyAction ? { policy_action: e.policyAction } : {}),
+      ...(e.profileId ? { profile_id: e.profileId } : {}),
+      ...(e.trigger ? { trigger: e.trigger } : {}),
+      ...e.details
+    };
+    return doc;
+  }
+
+  // stored events -> { body, mime, ext }; meta: { verification, filter, version }
+  if (!self.AIPG.formatEvents) {
+    self.AIPG.formatEvents = function formatEvents(stored, format, meta = {}) {
+      const version = meta.version || "";
+      const events = format === "json" ? stored : stored.map(self.AIPG.normalizeEvent);
+      switch (format) {
+        case "ndjson":
+          return { body: events.map(e => JSON.stringify(e)).join("\n") + (events.length ? "\n" : ""), mime: "application/x-ndjson", ext: "ndjson" };
+        case "csv":
+          return {
+            body: [CSV_COLUMNS.join(","), ...events.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(","))].join("\r\n") + "\r\n",
+            mime: "text/csv",
+            ext: "csv"
+          };
+        case "cef":
+          return { body: events.map(e => toCef(e, version)).join("\n") + (events.length ? "\n" : ""), mime: "text/plain", ext: "cef" };
+        case "ecs":
+          return { body: JSON.stringify(events.map(e => toEcs(e, version)), null, 2), mime: "application/json", ext: "ecs.json" };
+        default:
+          return {
+            body: JSON.stringify({
+              exportedAt: new Date().toISOString(),
+              filter: meta.filter || {},
+              verification: meta.verification || null, // always covers the whole log
+              events
+            }, null, 2),
+            mime: "application/json",
+            ext: "json"
+          };
+      }
+    };
+  }
+})();
@@ -9,10 +9,40 @@
   }
 
   // --- load rules or defaults on first run ---
+  // `rules` is the local copy that gets saved; `view` has enterprise policy
+  // (chrome.storage.managed) applied on top and is what the page shows.
   const rules = (await get("rules")) || (await loadDefaults());
-  const profiles = rules.profiles || [];
+  const managed = await self.AIPG.getManaged();
+  const locked = self.AIPG.managedPaths(managed);
+  const view = self.AIPG.applyManaged({ rules }, managed).rules;
+  const profiles = view.profiles || [];
+  const profilesLocked = locked.includes("rules.profiles");
   const $ = (s) => document.querySelector(s);
 
+  // Background writes `rules` too (expiring list entries, the router's "Always block",
+  // PIN migration), so saves never write back the copy loaded with the page: they
+  // re-read the stored rules, apply just their change and keep the page in step.
+  async function saveRules(change, extra = {}) {
+    const fresh = (await get("rules")) || rules;
+    change(fresh);
+    await set({ rules: fresh, ...extra });
+    syncRules(fresh);
+  }
+  function syncRules(fresh) {
+    if (fresh !== rules) {
+      Object.keys(rules).forEach((k) => delete rules[k]);
+      Object.assign(rules, fresh);
+    }
+    const next = self.AIPG.applyManaged({ rules }, managed).rules;
+    profiles.splice(0, profiles.length, ...(next.profiles || []));
+    Object.keys(view).forEach((k) => delete view[k]);
+    Object.assign(view, next, { profiles });
+  }
+  // A profile (the selected one by default) within a rules object
+  function profileIn(r, id = sel.value) {
+    return (r.profiles || []).find((p) => p.id === id);
+  }
+
   // ----- populate profile selector -----
   const sel = $("#profileSelect");
   profiles.forEach((p) => {
@@ -21,104 +51,615 @@
     opt.textContent = `${p.name}`;
     sel.appendChild(opt);
   });
-  sel.value = rules.selectedProfileId || (profiles[0] && profiles[0].id) || "";
+  sel.value = view.selectedProfileId || (profiles[0] && profiles[0].id) || "";
 
   // ----- PIN & tracking modes -----
-  $("#adminPin").value = rules.adminPin || "";
+  const pinLocked = locked.includes("rules.adminPinHash");
   const active = profiles.find((p) => p.id === sel.value) || profiles[0] || {};
   $("#trackUsers").value = active.trackUsers || "off";
   $("#trackPrompts").value = active.trackPrompts || "off";
+  renderJustification(active);
+  renderConsent(active);
 
   // NEW: Approved AI URL + User Role
-  $("#approvedAiUrl").value = (await get("approvedAiUrl")) || "";
-  $("#userRole").value = (await get("userRole")) || "";
+  const effective = await self.AIPG.getEffective(["approvedAiUrl", "userRole"]);
+  $("#approvedAiUrl").value = effective.approvedAiUrl || "";
+  $("#userRole").value = effective.userRole || "";
 
   renderLists(active);
+  renderPolicy(active);
+  renderRoleProfiles();
+  await renderAccessRequests();
+  applyLocks();
 
   $("#saveProfile").onclick = async () => {
-    rules.selectedProfileId = sel.value;
-    rules.adminPin = $("#adminPin").value;
+    await saveRules((fresh) => {
+      // Managed settings are skipped: the local copy stays as the user left it
+      if (!locked.includes("rules.selectedProfileId")) fresh.selectedProfileId = sel.value;
 
-    const idx = profiles.findIndex((p) => p.id === sel.value);
-    if (idx >= 0) {
-      profiles[idx].trackUsers = $("#trackUsers").value;
-      profiles[idx].trackPrompts = $("#trackPrompts").value;
-    }
-    await set({ rules });
+      const profile = profileIn(fresh);
+      if (profile && !profilesLocked) {
+        profile.trackUsers = $("#trackUsers").value;
+        profile.trackPrompts = $("#trackPrompts").value;
+        profile.requireJustification = $("#requireJustification").checked;
+        profile.justificationCategories = ($("#justificationCategories").value || "")
+          .split("\n").map((c) => c.trim()).filter(Boolean);
+        profile.consentMinutes = Math.max(0, Math.round(Number($("#consentMinutes").value) || 0));
+        profile.consentScope = $("#consentScope").value;
+        profile.cooldownSeconds = Math.min(600, Math.max(0, Math.round(Number($("#cooldownSeconds").value) || 0)));
+      }
+    });
 
     // Also persist Approved AI URL & Role
-    const approved = ($("#approvedAiUrl").value || "").trim();
-    await set({ approvedAiUrl: approved });
-    const role = $("#userRole").value || "";
-    await set({ userRole: role });
+    if (!locked.includes("approvedAiUrl")) {
+      const approved = ($("#approvedAiUrl").value || "").trim();
+      await set({ approvedAiUrl: approved });
+    }
+    if (!locked.includes("userRole")) {
+      const role = $("#userRole").value || "";
+      await set({ userRole: role });
+    }
 
     // Broadcast change is handled by background (storage.onChanged)
     alert("Saved.");
   };
 
+  // The PIN is hashed and checked by the background; this page never stores or reads it
+  async function renderPinStatus() {
+    const res = await new Promise((r) => chrome.runtime.sendMessage({ type: "GET_PROFILE" }, (v) => { void chrome.runtime.lastError; r(v || {}); }));
+    $("#pinStatus").textContent = res.pinSet ? "An Admin PIN is set." : "No Admin PIN is set.";
+  }
+  renderPinStatus();
+  $("#updatePin").onclick = async () => {
+    if (pinLocked) return;
+    const newPin = $("#adminPin").value;
+    const res = await new Promise((r) => chrome.runtime.sendMessage({
+      type: "SET_ADMIN_PIN",
+      currentPin: $("#currentPin").value,
+      newPin
+    }, (v) => { void chrome.runtime.lastError; r(v || {}); }));
+    $("#currentPin").value = "";
+    $("#adminPin").value = "";
+    if (!res.ok) {
+      if (res.lockedFor) alert(`Too many wrong PINs. Try again in ${Math.ceil(res.lockedFor / 1000)} s.`);
+      else alert(res.error || "Current Admin PIN is incorrect.");
+      return;
+    }
+    // Keep the in-memory copy in step with what background stored
+    syncRules((await get("rules")) || rules);
+    renderPinStatus();
+    alert(newPin ? "Admin PIN updated." : "Admin PIN removed.");
+  };
+
+  // Helpdesk override codes (overrides.js). The secret is shown once when generated;
+  // the code generator only uses a secret typed in, never the stored one.
+  function renderOverrideStatus() {
+    $("#overrideStatus").textContent = locked.includes("rules.overrideSecret")
+      ? "Override codes are configured by your organization."
+      : (rules.overrideSecret ? "Override codes are enabled." : "Override codes are off (no secret).");
+  }
+  $("#overrideMinutes").value = view.overrideMinutes || "";
+  renderOverrideStatus();
+  $("#saveOverrides").onclick = async () => {
+    if (locked.includes("rules.overrideMinutes")) return;
+    const raw = ($("#overrideMinutes").value || "").trim();
+    const minutes = Number(raw);
+    if (raw && !(Number.isInteger(minutes) && minutes > 0)) { alert("Enter a whole number of minutes."); return; }
+    await saveRules((fresh) => {
+      if (raw) fresh.overrideMinutes = minutes;
+      else delete fresh.overrideMinutes;
+    });
+    alert("Override settings saved.");
+  };
+  $("#generateOverrideSecret").onclick = async () => {
+    if (locked.includes("rules.overrideSecret")) return;
+    if (rules.overrideSecret && !confirm("Replace the current secret? Codes from the old one stop working.")) return;
+    const secret = self.AIPG.generateOverrideSecret();
+    await saveRules((fresh) => { fresh.overrideSecret = secret; });
+    const out = $("#overrideSecretOut");
+    out.value = secret;
+    out.hidden = false;
+    out.select();
+    renderOverrideStatus();
+    $("#overrideStatus").textContent += " Copy this secret to the helpdesk now; it is not shown again.";
+  };
+  $("#helpdeskCode").onclick = async () => {
+    const out = $("#helpdeskResult");
+    let host = ($("#helpdeskHost").value || "").trim();
+    try { host = new URL(host.includes("://") ? host : "https://" + host).hostname; } catch { out.textContent = "Enter the site's host, e.g. chatgpt.com."; return; }
+    try {
+      const res = await self.AIPG.currentOverrideCode($("#helpdeskSecret").value, host);
+      out.textContent = `Code for ${self.AIPG.overrideHost(host)}: ${res.code} (valid until ${new Date(res.validUntil).toLocaleTimeString()})`;
+    } catch (e) {
+      out.textContent = e.message;
+    }
+  };
+
+  // Fields set by enterprise policy are read-only, with a note saying so
+  function applyLocks() {
+    const MANAGED_NOTE = "Managed by your organization";
+    const lock = (path, ...els) => {
+      if (!locked.includes(path)) return;
+      els.forEach((el) => {
+        el.disabled = true;
+        el.title = MANAGED_NOTE;
+      });
+      const note = document.createElement("small");
+      note.className = "muted managed";
+      note.textContent = MANAGED_NOTE;
+      els[els.length - 1].after(note);
+    };
+    lock("rules.selectedProfileId", sel);
+    lock("rules.adminPinHash", $("#currentPin"), $("#adminPin"), $("#updatePin"));
+    lock("rules.overrideMinutes", $("#overrideMinutes"), $("#saveOverrides"));
+    lock("rules.logRetentionDays", $("#logRetentionDays"));
+    lock("rules.logMaxEvents", $("#logMaxEvents"));
+    lock("rules.overrideSecret", $("#generateOverrideSecret"));
+    lock("approvedAiUrl", $("#approvedAiUrl"));
+    lock("userRole", $("#userRole"));
+    lock("logForwarding", $("#forwardEnabled"), $("#forwardUrl"), $("#forwardToken"), $("#forwardBatchSize"), $("#saveForwarding"));
+    lock("rules.profiles", $("#trackUsers"), $("#trackPrompts"));
+    lock("rules.profiles", $("#requireJustification"), $("#justificationCategories"));
+    lock("rules.profiles", $("#consentMinutes"), $("#consentScope"), $("#cooldownSeconds"));
+    lock("rules.profiles", $("#allowInput"), $("#addAllow"));
+    lock("rules.profiles", $("#blockInput"), $("#addBlock"));
+    lock("rules.profiles", $("#entryReason"), $("#entryExpiry"));
+    lock("rules.profiles", $("#savePolicyRules"));
+    $("#policyRules").readOnly = profilesLocked;
+    lock("rules.roleProfiles", $("#saveRoleProfiles"));
+    $("#roleProfiles").querySelectorAll("select").forEach((s) => { s.disabled = locked.includes("rules.roleProfiles"); });
+    $("#managedBanner").hidden = !locked.length;
+  }
+
+  // Role -> profile mapping (rules.roleProfiles); roles come from the User Role list
+  function renderRoleProfiles() {
+    const box = $("#roleProfiles");
+    box.innerHTML = "";
+    const mapping = view.roleProfiles || {};
+    [...$("#userRole").options].map((o) => o.value).filter(Boolean).forEach((role, i) => {
+      const label = document.createElement("label");
+      label.htmlFor = `roleProfile-${i}`;
+      label.textContent = role;
+      const select = document.createElement("select");
+      select.id = `roleProfile-${i}`;
+      select.dataset.role = role;
+      select.add(new Option("Default profile", ""));
+      profiles.forEach((p) => select.add(new Option(p.name, p.id)));
+      select.value = profiles.some((p) => p.id === mapping[role]) ? mapping[role] : "";
+      box.append(label, select);
+    });
+  }
+  $("#saveRoleProfiles").onclick = async () => {
+    if (locked.includes("rules.roleProfiles")) return;
+    const mapping = {};
+    $("#roleProfiles").querySelectorAll("select").forEach((s) => {
+      if (s.value) mapping[s.dataset.role] = s.value;
+    });
+    await saveRules((fresh) => { fresh.roleProfiles = mapping; });
+    alert("Role mapping saved.");
+  };
+
+  // Per-profile justification on Proceed (checked again by background)
+  function renderJustification(profile) {
+    $("#requireJustification").checked = !!profile.requireJustification;
+    $("#justificationCategories").value = (profile.justificationCategories || []).join("\n");
+  }
+
+  // Consent window / scope and router cooldown (background keeps them in storage.session)
+  function renderConsent(profile) {
+    $("#consentMinutes").value = profile.consentMinutes ?? 10;
+    $("#consentScope").value = profile.consentScope || "tab";
+    $("#cooldownSeconds").value = profile.cooldownSeconds ?? 5;
+  }
+
+  // Ordered policy rules of the selected profile (policy.js); profiles saved before
+  // the engine existed show the rules derived from their old settings
+  function renderPolicy(profile) {
+    $("#policyRules").value = JSON.stringify(self.AIPG.policyForProfile(profile), null, 2);
+  }
+  sel.onchange = () => {
+    const p = profiles.find((x) => x.id === sel.value) || {};
+    renderLists(p);
+    renderPolicy(p);
+    renderJustification(p);
+    renderConsent(p);
+  };
+  $("#savePolicyRules").onclick = async () => {
+    let parsed;
+    try { parsed = JSON.parse($("#policyRules").value || "{}"); } catch (e) { alert("Invalid JSON: " + e.message); return; }
+    if (!parsed || !Array.isArray(parsed.rules)) { alert("Expected an object with a rules array."); return; }
+    const policy = self.AIPG.normalizePolicy(parsed);
+    const dropped = parsed.rules.length - policy.rules.length;
+    if (!profileIn(view) || profilesLocked) return;
+    await saveRules((fresh) => {
+      const profile = profileIn(fresh);
+      if (profile) profile.policy = policy;
+    });
+    renderPolicy(profileIn(view) || {});
+    alert(dropped ? `Policy saved. ${dropped} invalid rule(s) dropped (need id + known action, unique ids).` : "Policy saved.");
+  };
+
+  // Admin detection rules (merged over data/detection_rules.json by background)
+  const customDetectionRules = await get("customDetectionRules");
+  $("#customDetectionRules").value = customDetectionRules ? JSON.stringify(customDetectionRules, null, 2) : "";
+  $("#saveDetectionRules").onclick = async () => {
+    const raw = ($("#customDetectionRules").value || "").trim();
+    let parsed = null;
+    if (raw) {
+      try { parsed = JSON.parse(raw); } catch (e) { alert("Invalid JSON: " + e.message); return; }
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) { alert("Expected an object with aiUi / sensitiveFields arrays."); return; }
+    }
+    await set({ customDetectionRules: parsed });
+    alert("Detection rules saved.");
+  };
+
+  // Signed policy bundles (bundle.js)
+  $("#exportBundle").onclick = exportBundle;
+  $("#importBundle").onclick = importBundle;
+  $("#generateBundleKey").onclick = async () => {
+    const { publicJwk, privateJwk, kid } = await self.AIPG.generateBundleKeyPair();
+    download(`aipg-signing-key-${kid}.private.json`, privateJwk);
+    download(`aipg-signing-key-${kid}.public.json`, { kid, jwk: publicJwk });
+    bundleResult(`Key pair ${kid} generated. Keep the private key safe; add the public key to data/policy_keys.json to accept bundles signed with it.`);
+  };
+
   $("#addAllow").onclick = () => addHost("allow");
   $("#addBlock").onclick = () => addHost("block");
+  $("#testUrlBtn").onclick = testUrl;
 
+  // Event log (events.js, IndexedDB); retention is applied by background
   $("#exportLogs").onclick = exportLogs;
+  Object.entries(self.AIPG.EVENT_KINDS).forEach(([kind, meta]) => {
+    $("#exportKinds").add(new Option(`${meta.name} (${kind})`, kind));
+  });
   $("#clearLogs").onclick = async () => {
-    await set({ logs: [] }); alert("Logs cleared.");
+    if (!confirm("Clear all logs? A sealed checkpoint event records that they were cleared.")) return;
+    // With forwarding on, the checkpoint records how many cleared events the collector never got
+    const [{ logForwarding: fwd }, sent] = await Promise.all([self.AIPG.getEffective(["logForwarding"]), get("forwardState")]);
+    const forwardedSeq = fwd?.enabled && fwd?.url ? (sent?.sentSeq || 0) : undefined;
+    await self.AIPG.clearEvents(await self.AIPG.logEntry({ source: "options" }), { forwardedSeq });
+    await renderLogCount();
+    alert("Logs cleared.");
+  };
+  $("#verifyLogs").onclick = async () => {
+    $("#logIntegrity").textContent = "Verifying…";
+    $("#logIntegrity").textContent = describeIntegrity(await self.AIPG.verifyEvents());
+  };
+  $("#logRetentionDays").value = view.logRetentionDays ?? "";
+  $("#logMaxEvents").value = view.logMaxEvents ?? "";
+  $("#saveLogRetention").onclick = async () => {
+    const values = {}; // key -> number, or null to clear
+    for (const [key, el] of [["logRetentionDays", $("#logRetentionDays")], ["logMaxEvents", $("#logMaxEvents")]]) {
+      if (locked.includes(`rules.${key}`)) continue;
+      const raw = (el.value || "").trim();
+      const n = Number(raw);
+      if (raw && !(Number.isInteger(n) && n >= 0)) { alert("Enter whole numbers (0 = no limit)."); return; }
+      values[key] = raw ? n : null;
+    }
+    await saveRules((fresh) => {
+      for (const [key, n] of Object.entries(values)) {
+        if (n != null) fresh[key] = n;
+        else delete fresh[key];
+      }
+    });
+    alert("Retention saved.");
   };
+  // Hash chain check (events.js verifyEvents), in words
+  function describeIntegrity(res) {
+    if (res.ok) {
+      return `Intact: ${res.checked} chained event(s) verified` + (res.unchained ? `, ${res.unchained} older event(s) from before hash chaining.` : ".");
+    }
+    const b = res.broken;
+    return `Broken at event #${b.seq} (${b.kind || "unknown kind"}, ${b.ts || "no time"}): ${b.reason}. ${res.checked} event(s) before it verified.`;
+  }
+  async function renderLogCount() {
+    $("#logCount").textContent = `${await self.AIPG.countEvents()} events stored.`;
+  }
+  renderLogCount();
+
+  // Log forwarding (background sends; storage.logForwarding holds the settings)
+  const forwarding = (await self.AIPG.getEffective(["logForwarding"])).logForwarding || {};
+  const forwardingLocked = locked.includes("logForwarding");
+  $("#forwardEnabled").checked = !!forwarding.enabled;
+  $("#forwardUrl").value = forwarding.url || "";
+  $("#forwardBatchSize").value = forwarding.batchSize || "";
+  // A managed token is not put into the page
+  if (forwardingLocked) $("#forwardToken").placeholder = forwarding.token ? "Set by your organization" : "";
+  else $("#forwardToken").value = forwarding.token || "";
+  $("#saveForwarding").onclick = async () => {
+    if (forwardingLocked) return;
+    const url = ($("#forwardUrl").value || "").trim();
+    const rawSize = ($("#forwardBatchSize").value || "").trim();
+    const batchSize = Number(rawSize);
+    if (rawSize && !(Number.isInteger(batchSize) && batchSize >= 1 && batchSize <= 500)) { alert("Batch size must be 1-500."); return; }
+    if ($("#forwardEnabled").checked) {
+      let u = null;
+      try { u = new URL(url); } catch { /* reported below */ }
+      const local = u && u.protocol === "http:" && ["localhost", "127.0.0.1", "[::1]"].includes(u.hostname);
+      if (!u || !(u.protocol === "https:" || local)) { alert("Enter an https:// collector URL (http:// only for localhost)."); return; }
+    }
+    await set({
+      logForwarding: {
+        enabled: $("#forwardEnabled").checked,
+        url,
+        token: ($("#forwardToken").value || "").trim(),
+        ...(rawSize ? { batchSize } : {})
+      }
+    });
+    alert("Forwarding settings saved.");
+    renderForwardStatus();
+  };
+  $("#forwardNow").onclick = () => renderForwardStatus("FORWARD_NOW");
+  async function renderForwardStatus(type = "FORWARDING_STATUS") {
+    const res = await new Promise((res) => chrome.runtime.sendMessage({ type }, (r) => {
+      void chrome.runtime.lastError;
+      res(r || {});
+    }));
+    const st = res.status;
+    if (!st) { $("#forwardStatus").textContent = "Forwarding status unavailable."; return; }
+    const parts = [st.enabled ? `Forwarding on. ${st.queued} event(s) queued.` : `Forwarding off. ${st.queued} event(s) not yet forwarded.`];
+    if (st.lastSuccessAt) parts.push(`Last delivery: ${new Date(st.lastSuccessAt).toLocaleString()}.`);
+    if (st.lastError) parts.push(`Last error: ${st.lastError} (${new Date(st.lastErrorAt).toLocaleString()}).`);
+    if (st.retryAt) parts.push(`Next retry: ${new Date(st.retryAt).toLocaleTimeString()}.`);
+    $("#forwardStatus").textContent = parts.join(" ");
+  }
+  renderForwardStatus();
 
   $("#openDirectory").onclick = () => window.open("directory.html");
 
   function renderLists(profile) {
-    renderList(profile.allowList || [], "#allowList", "allow");
-    renderList(profile.blockList || [], "#blockList", "block");
+    renderList(profile, "#allowList", "allow");
+    renderList(profile, "#blockList", "block");
+  }
+
+  // Entry, then its metadata (patterns.js listMeta): reason, author, expiry
+  function describeEntryMeta(meta) {
+    if (!meta) return "";
+    const parts = [];
+    if (meta.reason) parts.push(meta.reason);
+    if (meta.author) parts.push(`by ${meta.author}`);
+    if (typeof meta.expiresAt === "number") {
+      parts.push(meta.expiresAt <= Date.now() ? "expired" : `until ${new Date(meta.expiresAt).toLocaleString()}`);
+    }
+    return parts.length ? ` (${parts.join(", ")})` : "";
   }
 
-  function renderList(arr, ulSel, kind) {
+  function renderList(profile, ulSel, kind) {
+    const arr = (kind === "allow" ? profile.allowList : profile.blockList) || [];
+    const meta = profile.listMeta || {};
     const ul = document.querySelector(ulSel);
     ul.innerHTML = "";
     arr.forEach((host, i) => {
       const li = document.createElement("li");
-      li.innerHTML = `<span>${host}</span><button data-i="${i}" data-kind="${kind}">Remove</button>`;
+      li.innerHTML = `<span></span><small class="muted"></small><button data-i="${i}" data-kind="${kind}">Remove</button>`;
+      li.querySelector("span").textContent = host; // regex entries may contain markup characters
+      li.querySelector("small").textContent = describeEntryMeta(meta[self.AIPG.listMetaKey(kind, host)]);
+      if (profilesLocked) li.querySelector("button").remove(); // managed lists are read-only
       ul.appendChild(li);
     });
     ul.querySelectorAll("button").forEach(btn => {
       btn.onclick = async () => {
-        const i = +btn.dataset.i;
+        const entry = arr[+btn.dataset.i]; // by value: the stored list may have changed since
         const k = btn.dataset.kind;
-        const idx = profiles.findIndex(p => p.id === sel.value);
-        if (idx >= 0) {
-          const list = k === "allow" ? (profiles[idx].allowList = profiles[idx].allowList || []) :
-                                       (profiles[idx].blockList = profiles[idx].blockList || []);
-          list.splice(i, 1);
-          await set({ rules });
-          renderLists(profiles[idx]);
-        }
+        if (!profileIn(view)) return;
+        await saveRules((fresh) => {
+          const profile = profileIn(fresh);
+          if (!profile) return;
+          const key = k === "allow" ? "allowList" : "blockList";
+          profile[key] = (profile[key] || []).filter((e) => e !== entry);
+          if (profile.listMeta) delete profile.listMeta[self.AIPG.listMetaKey(k, entry)];
+        });
+        renderLists(profileIn(view) || {});
       };
     });
   }
 
+  // Adds an entry with its metadata; hours = 0 means it never expires
+  function addListEntry(profile, kind, entry, { reason, author, hours, requestId }) {
+    const list = kind === "allow" ? (profile.allowList = profile.allowList || []) :
+                                    (profile.blockList = profile.blockList || []);
+    if (!list.includes(entry)) list.push(entry);
+    profile.listMeta = profile.listMeta || {};
+    const now = Date.now();
+    profile.listMeta[self.AIPG.listMetaKey(kind, entry)] = {
+      reason: reason || "",
+      author,
+      addedAt: now,
+      ...(hours > 0 ? { expiresAt: now + hours * 3600 * 1000 } : {}),
+      ...(requestId ? { requestId } : {})
+    };
+  }
+
   async function addHost(kind) {
     const input = kind === "allow" ? $("#allowInput") : $("#blockInput");
     const host = (input.value || "").trim();
     if (!host) return;
-    const idx = profiles.findIndex(p => p.id === sel.value);
-    if (idx >= 0) {
-      const list = kind === "allow" ? (profiles[idx].allowList = profiles[idx].allowList || []) :
-                                      (profiles[idx].blockList = profiles[idx].blockList || []);
-      if (!list.includes(host)) list.push(host);
-      await set({ rules });
-      renderLists(profiles[idx]);
+    if (!self.AIPG.compileListPattern(host)) {
+      alert("Invalid entry. Use example.com, *.example.com, example.com/path or /regex/flags.");
+      return;
+    }
+    if (profileIn(view) && !profilesLocked) {
+      const meta = {
+        reason: ($("#entryReason").value || "").trim(),
+        author: "admin",
+        hours: Number($("#entryExpiry").value) || 0
+      };
+      await saveRules((fresh) => {
+        const profile = profileIn(fresh);
+        if (profile) addListEntry(profile, kind, host, meta);
+      });
+      renderLists(profileIn(view) || {});
       input.value = "";
+      $("#entryReason").value = "";
     }
   }
 
+  // Pending "Request access" submissions from the router (background stores them)
+  async function renderAccessRequests() {
+    const ul = $("#accessRequests");
+    ul.innerHTML = "";
+    const pending = ((await get("accessRequests")) || []).filter(r => r.status === "pending");
+    if (!pending.length) {
+      ul.innerHTML = `<li><small class="muted">No pending requests.</small></li>`;
+      return;
+    }
+    pending.forEach((r) => {
+      const profile = profiles.find(p => p.id === r.profileId);
+      const li = document.createElement("li");
+      li.innerHTML = `
+        <div><b></b> <small class="muted"></small></div>
+        <div class="reason"></div>
+        <div class="row">
+          <select aria-label="Approve for">
+            <option value="1">1 hour</option>
+            <option value="8" selected>8 hours</option>
+            <option value="24">1 day</option>
+            <option value="168">7 days</option>
+            <option value="720">30 days</option>
+          </select>
+          <button type="button" data-act="approve">Approve</button>
+          <button type="button" class="secondary" data-act="deny">Deny</button>
+        </div>`;
+      li.querySelector("b").textContent = r.host;
+      li.querySelector("small").textContent =
+        `${profile ? profile.name : "unknown profile"} · ${r.role || "no role"} · user ${String(r.requester || "").slice(0, 8)} · ${new Date(r.createdAt).toLocaleString()}`;
+      li.querySelector(".reason").textContent = r.reason || "(no reason given)";
+      if (profilesLocked || !profile) li.querySelectorAll("button, select").forEach((el) => { el.disabled = true; });
+      li.querySelector("[data-act=approve]").onclick = () => decideAccessRequest(r.id, true, Number(li.querySelector("select").value));
+      li.querySelector("[data-act=deny]").onclick = () => decideAccessRequest(r.id, false, 0);
+      ul.appendChild(li);
+    });
+  }
+
+  async function decideAccessRequest(id, approve, hours) {
+    const requests = (await get("accessRequests")) || [];
+    const r = requests.find(x => x.id === id && x.status === "pending");
+    if (!r) { await renderAccessRequests(); return; }
+    const profile = profiles.find(p => p.id === r.profileId);
+    if (approve && (!profile || profilesLocked)) return;
+    r.status = approve ? "approved" : "denied";
+    r.decidedAt = Date.now();
+    if (approve) {
+      r.expiresAt = r.decidedAt + hours * 3600 * 1000;
+      await saveRules((fresh) => {
+        const target = profileIn(fresh, r.profileId);
+        if (target) addListEntry(target, "allow", r.host, { reason: r.reason || "Access request", author: "admin", hours, requestId: r.id });
+      }, { accessRequests: requests });
+    } else {
+      await set({ accessRequests: requests });
+    }
+    await self.AIPG.appendLog({ kind: approve ? "access_approved" : "access_denied", host: r.host, profileId: r.profileId, requestId: r.id, ...(approve ? { hours } : {}) });
+    if (profile && profile.id === sel.value) renderLists(profileIn(view) || {});
+    await renderAccessRequests();
+  }
+
+  // Which allow/block entry (patterns.js) decides a URL under the selected profile
+  async function testUrl() {
+    const out = $("#testUrlResult");
+    let url = ($("#testUrl").value || "").trim();
+    if (!url) { out.textContent = ""; return; }
+    if (!url.includes("://")) url = "https://" + url;
+    try { new URL(url); } catch { out.textContent = "Not a valid URL."; return; }
+
+    const profile = profiles.find(p => p.id === sel.value) || {};
+    const res = self.AIPG.resolveListVerdict(url, self.AIPG.activeListEntries(profile, "allow"), self.AIPG.activeListEntries(profile, "block"));
+    const parts = [];
+    if (res.verdict === "block") {
+      parts.push(`Blocked by blocklist entry “${res.blockEntry}”` + (res.allowEntry ? ` (more specific than allowlist entry “${res.allowEntry}”)` : ""));
+    } else if (res.verdict === "allow") {
+      parts.push(`Allowed by allowlist entry “${res.allowEntry}”` + (res.blockEntry ? ` (overrides blocklist entry “${res.blockEntry}”)` : ""));
+    } else {
+      parts.push("No allowlist or blocklist entry matches");
+    }
+
+    const domains = await new Promise(res => chrome.runtime.sendMessage({ type: "REQUEST_AI_DOMAINS" }, (r) => {
+      void chrome.runtime.lastError;
+      res((r && r.domains) || []);
+    }));
+    const aiEntry = self.AIPG.matchListEntry(url, domains);
+    parts.push(aiEntry ? `AI domain (entry “${aiEntry}”)` : "not a listed AI domain");
+    out.textContent = parts.join("; ") + ".";
+  }
+
+  // Filtered export (logexport.js) plus the integrity check it was made with
   async function exportLogs() {
-    const logs = (await get("logs")) || []; // SAFE: get returns value, not object
-    const blob = new Blob([JSON.stringify(logs, null, 2)], { type: "application/json" });
+    const day = (id, time) => $(id).value ? new Date(`${$(id).value}T${time}`).getTime() : null;
+    const filter = {
+      from: day("#exportFrom", "00:00:00"),
+      to: day("#exportTo", "23:59:59.999"),
+      kinds: [...$("#exportKinds").selectedOptions].map((o) => o.value),
+      host: ($("#exportHost").value || "").trim(),
+      decision: $("#exportDecision").value,
+      minRisk: ($("#exportMinRisk").value || "").trim()
+    };
+    const format = $("#exportFormat").value;
+    const verification = await self.AIPG.verifyEvents();
+    const events = await self.AIPG.queryExportEvents(filter);
+    const out = self.AIPG.formatEvents(events, format, { verification, filter, version: chrome.runtime.getManifest().version });
+    download(`aipg-logs.${out.ext}`, out.body, out.mime);
+    if (format !== "json") download("aipg-logs.verification.json", { exportedAt: new Date().toISOString(), filter, exported: events.length, verification });
+  }
+
+  function download(name, data, mime = "application/json") {
+    const blob = new Blob([typeof data === "string" ? data : JSON.stringify(data, null, 2)], { type: mime });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
-    a.href = url; a.download = "aipg-logs.json"; a.click();
+    a.href = url; a.download = name; a.click();
     setTimeout(() => URL.revokeObjectURL(url), 5000);
   }
 
+  function bundleResult(text) {
+    $("#bundleResult").textContent = text;
+  }
+
+  async function readJsonFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return null;
+    return JSON.parse(await file.text());
+  }
+
+  async function exportBundle() {
+    let privateJwk;
+    try { privateJwk = await readJsonFile($("#bundleKeyFile")); } catch (e) { bundleResult("Key file is not valid JSON: " + e.message); return; }
+    if (!privateJwk) { bundleResult("Choose your private signing key (JWK) first, or generate a key pair."); return; }
+    try {
+      const effective = await self.AIPG.getEffective(["customDomains", "approvedAiUrl"]);
+      const payload = self.AIPG.buildPolicyPayload({ rules: view, ...effective });
+      const bundle = await self.AIPG.signPolicyBundle(payload, privateJwk);
+      download(`aipg-policy-bundle-${bundle.createdAt.slice(0, 10)}.json`, bundle);
+      bundleResult(`Bundle exported and signed with key ${bundle.kid || "(no kid)"}.`);
+    } catch (e) {
+      bundleResult("Export failed: " + e.message);
+    }
+  }
+
+  // Verified bundles replace the local rules (the local Admin PIN is kept)
+  async function importBundle() {
+    let bundle;
+    try { bundle = await readJsonFile($("#bundleFile")); } catch (e) { bundleResult("Rejected: file is not valid JSON (" + e.message + ")."); return; }
+    if (!bundle) { bundleResult("Choose a bundle file first."); return; }
+
+    const pinned = await fetch(chrome.runtime.getURL("data/policy_keys.json")).then((r) => r.json()).catch(() => ({}));
+    const res = await self.AIPG.verifyPolicyBundle(bundle, pinned.keys);
+    if (!res.ok) {
+      bundleResult("Rejected: " + res.reason + ".");
+      alert("Policy bundle rejected: " + res.reason + ".");
+      return;
+    }
+
+    const { rules: bundled, customDomains, approvedAiUrl } = res.payload;
+    await saveRules((fresh) => {
+      fresh.profiles = bundled.profiles;
+      fresh.selectedProfileId = bundled.selectedProfileId;
+      fresh.roleProfiles = bundled.roleProfiles || {};
+    }, {
+      customDomains: customDomains || [],
+      approvedAiUrl: approvedAiUrl || ""
+    });
+    alert(`Policy bundle imported (key ${res.kid || "pinned"}).` + (locked.length ? " Settings managed by your organization still take precedence." : ""));
+    location.reload();
+  }
+
   async function loadDefaults() {
     const r = await fetch(chrome.runtime.getURL("data/default_rules.json")).then((r) => r.json());
     await set({ rules: r });
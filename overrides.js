@@ -0,0 +1,102 @@
+// overrides.js (classic, guarded assignments)
+// One-time override codes for helpdesk approvals, TOTP-style (RFC 6238 with the host
+// mixed in) and fully offline: code = HOTP(secret, counter || "|" || host), where
+// counter = floor(time / OVERRIDE_STEP_MS). The helpdesk generates a code for the user's
+// host from the same secret (rules.overrideSecret, base32, provisioned in policy).
+// A code is valid for the current and the previous step, for that host only.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const STEP_MS = 5 * 60 * 1000; // long enough to read a code over the phone
+  const DIGITS = 8;
+  const B32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+  if (!self.AIPG.OVERRIDE_STEP_MS) {
+    self.AIPG.OVERRIDE_STEP_MS = STEP_MS;
+  }
+
+  function base32Decode(s) {
+    const clean = String(s || "").toUpperCase().replace(/[\s=-]/g, "");
+    const out = [];
+    let bits = 0, value = 0;
+    for (const c of clean) {
+      const i = B32.indexOf(c);
+      if (i < 0) return null;
+      value = (value << 5) | i;
+      bits += 5;
+      if (bits >= 8) {
+        out.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(out);
+  }
+
+  function base32Encode(bytes) {
+    let out = "", bits = 0, value = 0;
+    for (const b of bytes) {
+      value = (value << 8) | b;
+      bits += 8;
+      while (bits >= 5) {
+        out += B32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) out += B32[(value << (5 - bits)) & 31];
+    return out;
+  }
+
+  // Codes are bound to the host the user is on; "www." is not significant
+  if (!self.AIPG.overrideHost) {
+    self.AIPG.overrideHost = function overrideHost(host) {
+      return String(host || "").trim().toLowerCase().replace(/\.$/, "").replace(/^www\./, "");
+    };
+  }
+
+  // 160-bit random secret, base32 (what authenticator-style tools expect)
+  if (!self.AIPG.generateOverrideSecret) {
+    self.AIPG.generateOverrideSecret = function generateOverrideSecret() {
+      return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+    };
+  }
+
+  if (!self.AIPG.overrideCode) {
+    self.AIPG.overrideCode = async function overrideCode(secret, host, counter) {
+      const keyBytes = base32Decode(secret);
+      if (!keyBytes || keyBytes.length < 10) throw new Error("Override secret must be base32 (at least 16 characters)");
+      const h = new TextEncoder().encode("|" + self.AIPG.overrideHost(host));
+      const msg = new Uint8Array(8 + h.length);
+      new DataView(msg.buffer).setUint32(0, Math.floor(counter / 2 ** 32));
+      new DataView(msg.buffer).setUint32(4, counter >>> 0);
+      msg.set(h, 8);
+      const key = await crypto.subtle.importKey("raw", keyBytes, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+      const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, msg));
+      const off = mac[mac.length - 1] & 0x0f; // RFC 4226 dynamic truncation
+      const bin = ((mac[off] & 0x7f) << 24) | (mac[off + 1] << 16) | (mac[off + 2] << 8) | mac[off + 3];
+      return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+    };
+  }
+
+  // -> { code, counter, validUntil (ms) } for the current step
+  if (!self.AIPG.currentOverrideCode) {
+    self.AIPG.currentOverrideCode = async function currentOverrideCode(secret, host, now = Date.now()) {
+      const counter = Math.floor(now / STEP_MS);
+      return { code: await self.AIPG.overrideCode(secret, host, counter), counter, validUntil: (counter + 2) * STEP_MS };
+    };
+  }
+
+  // -> { ok: true, counter } | { ok: false }
+  if (!self.AIPG.verifyOverrideCode) {
+    self.AIPG.verifyOverrideCode = async function verifyOverrideCode(secret, host, code, now = Date.now()) {
+      const entered = String(code || "").replace(/\D/g, "");
+      if (entered.length !== DIGITS || !self.AIPG.overrideHost(host)) return { ok: false };
+      const counter = Math.floor(now / STEP_MS);
+      for (const c of [counter, counter - 1]) {
+        try {
+          if (await self.AIPG.overrideCode(secret, host, c) === entered) return { ok: true, counter: c };
+        } catch { return { ok: false }; }
+      }
+      return { ok: false };
+    };
+  }
+})();
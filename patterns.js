@@ -0,0 +1,157 @@
+// patterns.js (classic, guarded assignments)
+// Allow / block / AI-domain list entries, shared by background.js, content.js and options.js.
+//
+// Entry forms:
+//   example.com              host and its subdomains, any path (the original semantics)
+//   *.example.com            "*" globs within the host ("*.x" = subdomains only)
+//   example.com/copilot      path prefix on top of the host rule ("*" globs in the path too)
+//   https://example.com/a    scheme is ignored, host + path kept
+//   /^https:\/\/x\.com\//i   regular expression tested against the full URL
+// When several entries match, the most specific wins: regex, then longest path, then
+// longest literal host. On an allow/block tie the allowlist wins.
+//
+// Entries may carry metadata in profile.listMeta["allow:<entry>" | "block:<entry>"] =
+// { reason, author, addedAt, expiresAt? } (ms). Expired entries no longer match;
+// background removes them from storage on an alarm.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const PATH_SPECIFICITY = 1000;
+  const REGEX_SPECIFICITY = 100000;
+  const compiled = new Map(); // entry string -> compiled pattern | null
+
+  function escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  }
+
+  function globRe(s, star) {
+    return s.split("*").map(escapeRe).join(star);
+  }
+
+  // "foo.com" / "https://foo.com/x?q" -> URL (host-only input is treated as https://host/)
+  function toUrl(input) {
+    const s = String(input || "").trim();
+    if (!s) return null;
+    try { return new URL(s.includes("://") ? s : "https://" + s); } catch { return null; }
+  }
+
+  function compile(entry) {
+    const s = String(entry || "").trim();
+    if (!s) return null;
+
+    const re = /^\/(.+)\/([a-z]*)$/.exec(s);
+    if (re) {
+      const flags = re[2].replace(/[gy]/g, "");
+      try {
+        return { entry: s, kind: "regex", re: new RegExp(re[1], flags), source: re[1], flags, specificity: REGEX_SPECIFICITY };
+      } catch { return null; }
+    }
+
+    const rest = s.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").replace(/#.*$/, "");
+    const cut = rest.search(/[/?]/);
+    let host = (cut >= 0 ? rest.slice(0, cut) : rest).replace(/:\d+$/, "").replace(/^\.+|\.+$/g, "").toLowerCase();
+    let path = cut >= 0 ? rest.slice(cut) : "";
+    if (path[0] === "?") path = "/" + path;
+    if (path === "/" || path === "/*") path = "";
+    if (!host || /[^a-z0-9.*_-]/.test(host.replace(/[^\x00-\x7f]/g, ""))) return null;
+
+    const wild = host.includes("*");
+    if (!wild) {
+      try { host = new URL("http://" + host).hostname; } catch { return null; }
+    }
+    return {
+      entry: s,
+      kind: "url",
+      host,
+      path,
+      hostRe: wild ? new RegExp("^" + globRe(host, ".*") + "$") : null,
+      pathRe: path ? new RegExp("^" + globRe(path, ".*")) : null,
+      specificity: host.replace(/\*/g, "").length + (path ? PATH_SPECIFICITY + path.replace(/\*/g, "").length : 0)
+    };
+  }
+
+  function getCompiled(entry) {
+    const key = String(entry || "");
+    if (!compiled.has(key)) compiled.set(key, compile(key));
+    return compiled.get(key);
+  }
+
+  function testPattern(p, u) {
+    if (p.kind === "regex") return p.re.test(u.href);
+    const h = u.hostname.toLowerCase();
+    const hostOk = p.hostRe ? p.hostRe.test(h) : (h === p.host || h.endsWith("." + p.host));
+    if (!hostOk) return false;
+    return !p.pathRe || p.pathRe.test(u.pathname + u.search);
+  }
+
+  // Compiled form of an entry, or null when it is not a valid pattern
+  if (!self.AIPG.compileListPattern) {
+    self.AIPG.compileListPattern = function compileListPattern(entry) {
+      return getCompiled(entry);
+    };
+  }
+
+  // Most specific entry of `list` matching `url` (a URL or bare host), or ""
+  if (!self.AIPG.matchListEntry) {
+    self.AIPG.matchListEntry = function matchListEntry(url, list) {
+      const u = toUrl(url);
+      if (!u || !Array.isArray(list)) return "";
+      let best = null;
+      for (const entry of list) {
+        const p = getCompiled(entry);
+        if (!p || !testPattern(p, u)) continue;
+        if (!best || p.specificity > best.specificity) best = p;
+      }
+      return best ? best.entry : "";
+    };
+  }
+
+  // -> { verdict: "allow" | "block" | "", entry, allowEntry, blockEntry }
+  if (!self.AIPG.resolveListVerdict) {
+    self.AIPG.resolveListVerdict = function resolveListVerdict(url, allowList, blockList) {
+      const allowEntry = self.AIPG.matchListEntry(url, allowList);
+      const blockEntry = self.AIPG.matchListEntry(url, blockList);
+      let verdict = "";
+      if (allowEntry && blockEntry) {
+        verdict = getCompiled(blockEntry).specificity > getCompiled(allowEntry).specificity ? "block" : "allow";
+      } else if (allowEntry) verdict = "allow";
+      else if (blockEntry) verdict = "block";
+      const entry = verdict === "allow" ? allowEntry : (verdict === "block" ? blockEntry : "");
+      return { verdict, entry, allowEntry, blockEntry };
+    };
+  }
+
+  if (!self.AIPG.listMetaKey) {
+    self.AIPG.listMetaKey = function listMetaKey(kind, entry) {
+      return `${kind}:${entry}`;
+    };
+  }
+
+  // The profile's allowList / blockList without expired entries
+  if (!self.AIPG.activeListEntries) {
+    self.AIPG.activeListEntries = function activeListEntries(profile, kind, now = Date.now()) {
+      const list = (kind === "allow" ? profile?.allowList : profile?.blockList) || [];
+      const meta = profile?.listMeta || {};
+      return list.filter(entry => {
+        const exp = meta[self.AIPG.listMetaKey(kind, entry)]?.expiresAt;
+        return !(typeof exp === "number" && exp <= now);
+      });
+    };
+  }
+
+  // declarativeNetRequest form of an entry: a whole-URL RE2 regexFilter (so "\0" in a
+  // redirect substitution is the full URL) plus its specificity for rule priorities.
+  // -> { regexFilter, caseSensitive, specificity } | null
+  if (!self.AIPG.listPatternToRegexFilter) {
+    self.AIPG.listPatternToRegexFilter = function listPatternToRegexFilter(entry) {
+      const p = getCompiled(entry);
+      if (!p) return null;
+      if (p.kind === "regex") {
+        return { regexFilter: `^.*?(?:${p.source}).*$`, caseSensitive: !p.flags.includes("i"), specificity: p.specificity };
+      }
+      const host = p.hostRe ? globRe(p.host, "[^/?#]*") : `([^/?#@]*\\.)?${escapeRe(p.host)}`;
+      const tail = p.path ? `${globRe(p.path, ".*")}.*` : "([/?#].*)?";
+      return { regexFilter: `^https?://${host}(:[0-9]+)?${tail}$`, caseSensitive: !!p.path, specificity: p.specificity };
+    };
+  }
+})();
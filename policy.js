@@ -0,0 +1,127 @@
+// policy.js (classic, guarded assignments)
+// Ordered policy rules: the first rule whose conditions all hold decides the action.
+// Each profile carries its rules as a preset (data/default_rules.json -> profile.policy).
+//
+// Rule: { id, when: { ...conditions }, action, message? }
+//   hosts:      ["github.com/copilot", "*.openai.azure.com"]  URL patterns (patterns.js)
+//   categories: ["ai_domain" | "internal" | "allowlisted" | "blocklisted"]
+//   roles:      ["Finance", ...]                               user role from Options
+//   risk:       "low" | "medium" | "high" | [bands] | { min?, max?, bands? }
+//   signals:    ["ai_ui" | "ai_api" | "sensitive_fields" | "sensitive_content" | "sensitive_transfer"]
+//   triggers:   ["navigation" | "ui" | "api" | "paste" | "drop" | "file_upload" | "submit"]
+//   findings:   ["apiKey", "card", ...] or ["any"]             dlp.js content types
+//   time:       { days?: [0-6], from?: "HH:MM", to?: "HH:MM" }  local time, may wrap midnight
+// Lists are any-of; every listed condition must hold. Action is one of POLICY_ACTIONS.
+(function(){
+  self.AIPG = self.AIPG || {};
+
+  const ACTIONS = ["allow", "warn", "justify", "pin", "redirect", "block"];
+  const RISK_BANDS = { low: [0, 39], medium: [40, 69], high: [70, 100] }; // same cut-offs as the router badge
+  const DEFAULT_RULE_ID = "default";
+
+  if (!self.AIPG.POLICY_ACTIONS) {
+    self.AIPG.POLICY_ACTIONS = ACTIONS.slice();
+  }
+
+  function asList(v) {
+    if (v == null) return null;
+    return (Array.isArray(v) ? v : [v]).map(String);
+  }
+
+  function minutes(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || ""));
+    return m ? Math.min(23, +m[1]) * 60 + Math.min(59, +m[2]) : null;
+  }
+
+  function riskMatches(cond, risk) {
+    if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+      if (typeof cond.min === "number" && risk < cond.min) return false;
+      if (typeof cond.max === "number" && risk > cond.max) return false;
+      return cond.bands == null || riskMatches(cond.bands, risk); // object form for managed policy
+    }
+    return asList(cond).some(b => RISK_BANDS[b] && risk >= RISK_BANDS[b][0] && risk <= RISK_BANDS[b][1]);
+  }
+
+  function timeMatches(cond, now) {
+    if (Array.isArray(cond.days) && !cond.days.includes(now.getDay())) return false;
+    const from = minutes(cond.from), to = minutes(cond.to);
+    if (from == null || to == null) return true;
+    const t = now.getHours() * 60 + now.getMinutes();
+    return from <= to ? (t >= from && t < to) : (t >= from || t < to);
+  }
+
+  function ruleMatches(when, facts) {
+    if (!when) return true;
+    const has = (list, set) => list.some(x => set.has(x));
+    if (when.hosts && !self.AIPG.matchListEntry(facts.url, asList(when.hosts))) return false;
+    if (when.categories && !has(asList(when.categories), facts.categories)) return false;
+    if (when.roles && !asList(when.roles).includes(facts.role || "")) return false;
+    if (when.risk != null && !riskMatches(when.risk, facts.risk)) return false;
+    if (when.signals && !has(asList(when.signals), facts.signals)) return false;
+    if (when.triggers && !asList(when.triggers).includes(facts.trigger)) return false;
+    if (when.findings) {
+      const found = Object.keys(facts.findings || {}).filter(k => facts.findings[k] > 0);
+      const wanted = asList(when.findings);
+      if (!found.length || !(wanted.includes("any") || wanted.some(k => found.includes(k)))) return false;
+    }
+    if (when.time && !timeMatches(when.time, facts.now)) return false;
+    return true;
+  }
+
+  // Rules for profiles saved before the engine existed, built from their old fields
+  function legacyPolicy(profile) {
+    const p = profile || {};
+    const rules = [
+      { id: "blocklist", when: { categories: ["blocklisted"] }, action: "block", message: "This site is blocked by policy" },
+      { id: "allowlist", when: { categories: ["allowlisted"] }, action: "allow" }
+    ];
+    if (p.id === "allow") return { rules, defaultAction: "allow" };
+    rules.push({ id: "ai-domain-api", when: { triggers: ["api"], categories: ["ai_domain"] }, action: "allow" });
+    if (p.requireAdminPinAboveThreshold) {
+      rules.push({ id: "high-risk-pin", when: { risk: { min: p.riskThreshold || 100 } }, action: "pin" });
+    }
+    rules.push(
+      { id: "submit-sensitive", when: { triggers: ["submit"], signals: ["sensitive_content"] }, action: "warn" },
+      { id: "submit-risky", when: { triggers: ["submit"], risk: { min: p.riskThreshold || 100 } }, action: "warn" },
+      { id: "submit-other", when: { triggers: ["submit"] }, action: "allow" }
+    );
+    return { rules, defaultAction: "warn" };
+  }
+
+  // Drops malformed rules; -> { rules, defaultAction }
+  if (!self.AIPG.normalizePolicy) {
+    self.AIPG.normalizePolicy = function normalizePolicy(policy) {
+      const src = policy || {};
+      const seen = new Set();
+      const rules = (Array.isArray(src.rules) ? src.rules : [])
+        .filter(r => r && r.id && ACTIONS.includes(r.action) && !seen.has(String(r.id)) && seen.add(String(r.id)))
+        .map(r => ({
+          id: String(r.id),
+          when: (r.when && typeof r.when === "object") ? r.when : {},
+          action: r.action,
+          ...(r.message ? { message: String(r.message) } : {})
+        }));
+      return { rules, defaultAction: ACTIONS.includes(src.defaultAction) ? src.defaultAction : "warn" };
+    };
+  }
+
+  if (!self.AIPG.policyForProfile) {
+    self.AIPG.policyForProfile = function policyForProfile(profile) {
+      return profile?.policy ? self.AIPG.normalizePolicy(profile.policy) : legacyPolicy(profile);
+    };
+  }
+
+  // facts: { url, trigger, role, risk, categories: Set, signals: Set, findings, now? }
+  // -> { action, ruleId, message }
+  if (!self.AIPG.evaluatePolicy) {
+    self.AIPG.evaluatePolicy = function evaluatePolicy(policy, facts) {
+      const f = { ...facts, risk: Number(facts.risk) || 0, now: facts.now || new Date() };
+      for (const rule of policy.rules) {
+        let hit = false;
+        try { hit = ruleMatches(rule.when, f); } catch { hit = false; }
+        if (hit) return { action: rule.action, ruleId: rule.id, message: rule.message || "" };
+      }
+      return { action: policy.defaultAction, ruleId: DEFAULT_RULE_ID, message: "" };
+    };
+  }
+})();
@@ -0,0 +1,269 @@
+// router.js — the router dialog, rendered in an extension-origin iframe
+// URL shape: router.html?id=<routerId>&redactable=1
+// content.js embeds this page in a closed shadow root; page scripts can neither
+// reach its DOM nor restyle it. Background opened the router session and only
+// accepts decisions for it from this page (ROUTER_DECISION with the routerId).
+(async function(){
+  const $ = (s) => document.querySelector(s);
+  const params = new URLSearchParams(location.search);
+  const routerId = params.get("id") || "";
+  const redactable = params.get("redactable") === "1";
+  const { describeFindings } = self.AIPG;
+
+  const overlay = $("#overlay");
+
+  function send(msg) {
+    return new Promise((res) => chrome.runtime.sendMessage({ ...msg, routerId }, (r) => {
+      void chrome.runtime.lastError;
+      res(r || {});
+    }));
+  }
+
+  // Unknown or expired session (e.g. the service worker restarted): nothing to decide
+  const session = await send({ type: "ROUTER_SESSION" });
+  if (!session.ok) {
+    overlay.innerHTML = `
+      <div class="aipg-modal" role="dialog" aria-modal="true" tabindex="-1">
+        <p class="aipg-reason">This prompt has expired. Repeat the action to see it again.</p>
+        <div class="aipg-actions"><button class="btn btn-secondary" id="aipg-cancel">Close</button></div>
+      </div>`;
+    $("#aipg-cancel").onclick = () => send({ type: "ROUTER_DECISION", decision: "dismiss" });
+    return;
+  }
+
+  const { reason, context = {}, risk } = session.payload;
+  const policy = session.payload.policy || { action: "warn", ruleId: "" };
+  const canProceed = policy.action !== "block" && policy.action !== "redirect";
+  const pinRequired = policy.action === "pin";
+  const justify = policy.justification || { required: policy.action === "justify", categories: [], maxLength: 280 };
+  const { overridesEnabled, managed = [] } = session;
+
+  overlay.innerHTML = `
+    <div class="aipg-modal" role="dialog" aria-labelledby="aipg-title" aria-modal="true" tabindex="-1">
+      <div class="aipg-header">
+        <h2 id="aipg-title">AI Usage Detected</h2>
+      </div>
+
+      <p class="aipg-reason">${escapeHtml(reason || "AI activity detected")}</p>
+
+      <div class="aipg-risk">
+        <span class="badge ${riskBadge(risk)}" aria-live="polite">Risk: ${Number(risk) || 0}</span>
+        <small class="aipg-tip" id="aipg-tip">Tip: Loading…</small>
+      </div>
+
+      <div class="aipg-details">
+        ${context.isAiDomain ? `<div>• AI domain</div>` : ``}
+        ${context.aiUiSignals?.length ? `<div>• AI UI on page (${context.aiUiSignals.length} signal${context.aiUiSignals.length>1?'s':''}${typeof context.aiUiConfidence === "number" ? `, ${Math.round(context.aiUiConfidence * 100)}% confidence` : ``})</div>` : ``}
+        ${context.aiApiCalls?.length ? `<div>• Sends data to AI provider: ${escapeHtml([...new Set(context.aiApiCalls.map(c => c.provider || c.host))].join(", "))}</div>` : ``}
+        ${anySensitive(context.sensitiveFields) ? `<div>• Sensitive fields present</div>` : ``}
+        ${anySensitive(context.contentFindings) ? `<div>• Sensitive content in prompt: ${escapeHtml(describeFindings(context.contentFindings))}</div>` : ``}
+        ${context.isInternalSite ? `<div>• Internal site</div>` : ``}
+        ${context.blocklisted ? `<div>• <b>Blocklisted by policy</b></div>` : ``}
+        ${context.frames?.some(f => !f.top) ? `<div>• Frames: ${escapeHtml(context.frames.map(f => f.host + (f.top ? " (top)" : "")).join(", "))}</div>` : ``}
+        ${policy.profileName ? `<div>• Policy: ${escapeHtml(policy.profileName)}${policy.role ? (policy.byRole ? ` (role-based: ${escapeHtml(policy.role)})` : ` (default; no mapping for ${escapeHtml(policy.role)})`) : ``}</div>` : ``}
+        ${policy.ruleId ? `<div>• Policy rule: ${escapeHtml(policy.ruleId)} (${escapeHtml(policy.action)})</div>` : ``}
+      </div>
+
+      ${justify.required && canProceed ? `
+      <div class="aipg-justify">
+        ${justify.categories.length ? `
+        <label for="aipg-justification-category">Reason for using this AI tool</label>
+        <select id="aipg-justification-category">
+          <option value="">Choose a reason…</option>
+          ${justify.categories.map(c => `<option>${escapeHtml(c)}</option>`).join("")}
+        </select>
+        <label for="aipg-justification">or describe it briefly</label>` : `
+        <label for="aipg-justification">Business justification (required to proceed)</label>`}
+        <textarea id="aipg-justification" rows="3" maxlength="${Number(justify.maxLength) || 280}"></textarea>
+        <small class="aipg-note">Don't include personal or confidential data; detected values are masked in the log.</small>
+      </div>` : ``}
+
+      <div class="aipg-actions">
+        <button class="btn btn-secondary" id="aipg-cancel">Cancel</button>
+        ${canProceed ? `<button class="btn btn-primary" id="aipg-proceed">Proceed</button>` : ``}
+        ${redactable && canProceed ? `<button class="btn btn-primary" id="aipg-redact" title="Replace detected secrets and PII with placeholders">Redact and continue</button>` : ``}
+        <button class="btn btn-accent" id="aipg-redirect" title="Use approved internal AI">Use Approved AI</button>
+      </div>
+
+      ${managed.includes("rules.profiles") ? `` : `
+      <div class="aipg-checkboxes">
+        <label><input type="checkbox" id="aipg-block-site"> Always block this site</label>
+      </div>
+
+      <div class="aipg-request">
+        <button type="button" class="btn btn-secondary" id="aipg-request-toggle">Request access to this site</button>
+        <div id="aipg-request-form" hidden>
+          <label for="aipg-request-reason">Why do you need this site?</label>
+          <textarea id="aipg-request-reason" rows="2" maxlength="${Number(justify.maxLength) || 280}"></textarea>
+          <button type="button" class="btn btn-primary" id="aipg-request-send">Send request</button>
+        </div>
+      </div>`}
+
+      ${pinRequired ? `
+      <div class="aipg-admin" id="aipg-admin">
+        <label>Admin PIN:
+          <input type="password" id="aipg-pin" autocomplete="one-time-code" aria-label="Admin PIN">
+        </label>
+        ${overridesEnabled ? `
+        <label>or helpdesk override code:
+          <input type="text" id="aipg-override" inputmode="numeric" maxlength="9" autocomplete="off" aria-label="Helpdesk override code">
+        </label>` : ``}
+        <div class="aipg-note" id="aipg-note">
+          A valid Admin PIN${overridesEnabled ? " or helpdesk override code" : ""} is required to proceed on high‑risk interactions.
+        </div>
+      </div>` : ``}
+
+      <p class="aipg-status" id="aipg-status" role="alert"></p>
+
+      <button class="aipg-close" aria-label="Close dialog">×</button>
+    </div>
+
+    <div class="aipg-shield" id="aipg-shield" hidden>
+      <div class="aipg-modal">
+        <h3>Action required</h3>
+        <p>This interaction is classified as <b>high risk</b>. A valid Admin PIN is required to proceed.</p>
+        <p>Without one, cancel the action: it is not carried out.</p>
+        <div class="aipg-actions">
+          <button class="btn btn-secondary" id="aipg-shield-back">Return</button>
+          <button class="btn btn-primary" id="aipg-shield-cancel">Cancel action</button>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const modal = overlay.querySelector(".aipg-modal");
+  modal.focus();
+  document.addEventListener("keydown", (e) => { if (e.key === "Escape") decide("dismiss"); });
+  $(".aipg-close").onclick = () => decide("dismiss");
+
+  // Safety tips (local JSON)
+  fetch(chrome.runtime.getURL("assets/tips.json"))
+    .then(r => r.json())
+    .then(tips => { $("#aipg-tip").textContent = "Tip: " + tips[Math.floor(Math.random() * tips.length)]; })
+    .catch(() => {});
+
+  function status(text) {
+    $("#aipg-status").textContent = text;
+  }
+
+  function justification() {
+    return ($("#aipg-justification")?.value || "").trim();
+  }
+
+  function justificationCategory() {
+    return $("#aipg-justification-category")?.value || "";
+  }
+
+  // Background checks this again (and scrubs the text) before accepting Proceed
+  function missingJustification() {
+    if (!justify.required || justification() || justificationCategory()) return false;
+    status(justify.categories.length ? "Please pick a reason or enter a business justification to proceed." : "Please enter a business justification to proceed.");
+    return true;
+  }
+
+  // Checked in background against the PIN hash, or the override code for this
+  // tab's host; a success is recorded on this router session
+  async function verifyPin() {
+    const input = $("#aipg-pin");
+    const codeInput = $("#aipg-override");
+    const code = (codeInput?.value || "").trim();
+    // Nothing typed: not an attempt (background would count it towards the lockout)
+    if (!code && !input.value) {
+      status(codeInput ? "Enter the Admin PIN or a helpdesk override code." : "Enter the Admin PIN.");
+      input.focus();
+      return false;
+    }
+    const res = await send(code ? { type: "VERIFY_OVERRIDE", code } : { type: "VERIFY_PIN", pin: input.value });
+    input.value = "";
+    if (codeInput) codeInput.value = "";
+    if (res.ok) return true;
+    if (res.noPin) status("No Admin PIN is configured. Ask your administrator.");
+    else if (res.lockedFor) status(`Too many wrong attempts. Try again in ${Math.ceil(res.lockedFor / 1000)} s.`);
+    else if (res.reused) status("This override code was already used. Ask the helpdesk for a new one.");
+    else if (code) status("Override code is not valid for this site.");
+    else status("Admin PIN required.");
+    return false;
+  }
+
+  // Background checks the decision against the session's policy, logs it and
+  // tells the page's content script, which removes this frame
+  let deciding = false;
+  async function decide(decision) {
+    if (deciding) return;
+    deciding = true;
+    const res = await send({
+      type: "ROUTER_DECISION",
+      decision,
+      justification: justification(),
+      justificationCategory: justificationCategory(),
+      blockSite: !!$("#aipg-block-site")?.checked
+    });
+    deciding = false;
+    if (!res.ok) status(res.error || "Decision was not accepted.");
+  }
+
+  async function proceedWith(decision) {
+    if (missingJustification()) return;
+    if (pinRequired && !(await verifyPin())) return;
+    decide(decision);
+  }
+
+  // Cancel: PIN required -> blocking shield (back to the PIN, or cancel the action);
+  // otherwise cancel right away
+  $("#aipg-cancel").onclick = () => {
+    if (pinRequired) {
+      $("#aipg-shield").hidden = false;
+      $("#aipg-shield-back").focus();
+      return;
+    }
+    decide("cancel");
+  };
+  $("#aipg-shield-back").onclick = () => { $("#aipg-shield").hidden = true; };
+  $("#aipg-shield-cancel").onclick = () => decide("cancel");
+
+  const proceedBtn = $("#aipg-proceed");
+  if (proceedBtn) proceedBtn.onclick = () => proceedWith("proceed");
+
+  // Redact and continue: same gate as Proceed; the content script swaps values for placeholders
+  const redactBtn = $("#aipg-redact");
+  if (redactBtn) redactBtn.onclick = () => proceedWith("redact");
+
+  // Request access: recorded as pending; an admin approves it (time-boxed) in Options
+  const requestToggle = $("#aipg-request-toggle");
+  if (requestToggle) {
+    requestToggle.onclick = () => {
+      $("#aipg-request-form").hidden = false;
+      requestToggle.hidden = true;
+      $("#aipg-request-reason").focus();
+    };
+    $("#aipg-request-send").onclick = async () => {
+      const res = await send({ type: "REQUEST_ACCESS", reason: $("#aipg-request-reason").value });
+      if (!res.ok) { status(res.error || "Request was not recorded."); return; }
+      $("#aipg-request-form").hidden = true;
+      status(res.duplicate ? "An access request for this site is already pending." : "Access request sent to your administrator.");
+    };
+  }
+
+  // Background navigates the tab to the approved AI URL
+  $("#aipg-redirect").onclick = () => {
+    if (!session.approvedAiUrl) {
+      status("Approved AI URL is not configured. Set it in Options.");
+      return;
+    }
+    decide("redirect");
+  };
+
+  // Redirect rule: go straight to the approved AI; without one configured the
+  // router stays up with Proceed removed, like a block
+  if (policy.action === "redirect" && session.approvedAiUrl) decide("redirect");
+
+  // ---- small utils ----
+  function anySensitive(obj){ return !!obj && Object.values(obj).some(v => v > 0); }
+  function riskBadge(r){ const n = Number(r)||0; return n>=70?"badge-high":(n>=40?"badge-med":"badge-low"); }
+  function escapeHtml(s){
+    return String(s||"")
+      .replace(/&/g,"&amp;")
+      .replace(/</g,"&lt;")
+      .replace(/>/g,"&gt;");
+  }
+})();
@@ -0,0 +1,69 @@
+// mock_collector.js — local stand-in for a log collector (Node.js, no dependencies)
+// Usage: node tools/mock_collector.js [--port 8787] [--token dev-token] [--fail 3]
+//                                     [--fail-rate 0.2] [--out events.ndjson]
+// Then in Extension Options -> "Log Forwarding": URL http://localhost:8787/ingest,
+// the same bearer token, "Forward events to a collector" ticked.
+//   --fail N       answer the first N requests with HTTP 503 (watch the backoff)
+//   --fail-rate p  answer a random share p of requests with HTTP 503
+//   --out file     append accepted events to file as NDJSON
+// Events are de-duplicated by id, like a real collector should: a batch the
+// extension resends after a lost response is acknowledged but not stored twice.
+const http = require("http");
+const fs = require("fs");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] !== undefined ? process.argv[i + 1] : fallback;
+}
+
+const port = Number(arg("port", 8787));
+const token = arg("token", "dev-token");
+let failFirst = Number(arg("fail", 0));
+const failRate = Number(arg("fail-rate", 0));
+const outFile = arg("out", "");
+
+const seen = new Set();
+let stored = 0;
+
+function reply(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") return reply(res, 405, { error: "POST only" });
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    console.log(`${new Date().toISOString()} 401 bad or missing bearer token`);
+    return reply(res, 401, { error: "unauthorized" });
+  }
+
+  const chunks = [];
+  req.on("data", (c) => chunks.push(c));
+  req.on("end", () => {
+    if (failFirst > 0 || Math.random() < failRate) {
+      if (failFirst > 0) failFirst--;
+      console.log(`${new Date().toISOString()} 503 simulated failure`);
+      return reply(res, 503, { error: "simulated failure" });
+    }
+
+    let body;
+    try { body = JSON.parse(Buffer.concat(chunks).toString("utf8")); } catch { return reply(res, 400, { error: "invalid JSON" }); }
+    if (!body || !Array.isArray(body.events)) return reply(res, 400, { error: "expected { events: [...] }" });
+
+    let accepted = 0, duplicates = 0;
+    for (const e of body.events) {
+      if (!e || !e.id || seen.has(e.id)) { duplicates++; continue; }
+      seen.add(e.id);
+      accepted++;
+      stored++;
+      if (outFile) fs.appendFileSync(outFile, JSON.stringify(e) + "\n");
+      console.log(`  #${e.seq ?? "?"} ${e.ts || ""} ${e.kind || ""} ${e.host || ""}${e.userId ? " user=" + e.userId : ""}`);
+    }
+    console.log(`${new Date().toISOString()} 200 ${accepted} accepted, ${duplicates} duplicate(s), ${stored} stored (${body.source?.product || "unknown"} ${body.source?.version || ""})`);
+    reply(res, 200, { accepted, duplicates });
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Mock collector on http://localhost:${port}/ingest (token: ${token || "none"})`);
+});
@@ -23,6 +23,54 @@
     };
   }
 
+  // JSON with object keys sorted (and undefined members dropped), for hashing and signing
+  if (!self.AIPG.canonicalJson) {
+    self.AIPG.canonicalJson = function canonicalJson(v) {
+      if (Array.isArray(v)) return "[" + v.map(canonicalJson).join(",") + "]";
+      if (v && typeof v === "object") {
+        return "{" + Object.keys(v).sort().filter(k => v[k] !== undefined)
+          .map(k => JSON.stringify(k) + ":" + canonicalJson(v[k])).join(",") + "}";
+      }
+      return JSON.stringify(v === undefined ? null : v);
+    };
+  }
+
+  // ------------------ Admin PIN (salted PBKDF2-SHA-256) ------------------
+  // Stored as rules.adminPinHash = { salt, iterations, hash } (base64); never in plain text.
+  const PIN_ITERATIONS = 310000;
+
+  function b64(bytes) {
+    let s = "";
+    for (const b of new Uint8Array(bytes)) s += String.fromCharCode(b);
+    return btoa(s);
+  }
+
+  function pbkdf2(pin, saltB64, iterations) {
+    const salt = Uint8Array.from(atob(saltB64), c => c.charCodeAt(0));
+    return crypto.subtle.importKey("raw", new TextEncoder().encode(String(pin)), "PBKDF2", false, ["deriveBits"])
+      .then(key => crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256))
+      .then(b64);
+  }
+
+  if (!self.AIPG.hashPin) {
+    self.AIPG.hashPin = function hashPin(pin) {
+      const salt = b64(crypto.getRandomValues(new Uint8Array(16)));
+      return pbkdf2(pin, salt, PIN_ITERATIONS).then(hash => ({ salt, iterations: PIN_ITERATIONS, hash }));
+    };
+  }
+
+  if (!self.AIPG.verifyPinHash) {
+    self.AIPG.verifyPinHash = function verifyPinHash(pin, record) {
+      if (!record?.salt || !record?.hash || !(record.iterations > 0)) return Promise.resolve(false);
+      return pbkdf2(pin, record.salt, record.iterations).then(hash => {
+        // Compare every character so the time taken does not depend on where they differ
+        let diff = hash.length ^ record.hash.length;
+        for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ (record.hash.charCodeAt(i) || 0);
+        return diff === 0;
+      }).catch(() => false);
+    };
+  }
+
   if (!self.AIPG.loadJson) {
     self.AIPG.loadJson = function loadJson(path) {
       const url = chrome.runtime.getURL(path);
@@ -42,6 +90,60 @@
     };
   }
 
+  // ------------------ Enterprise policy (chrome.storage.managed) ------------------
+  // Schema: managed_schema.json. Managed values win over local ones key by key;
+  // inside `rules` per top-level field, so IT can lock e.g. only rules.roleProfiles.
+  const MANAGED_KEYS = ["rules", "customDomains", "approvedAiUrl", "userRole", "logForwarding"];
+
+  if (!self.AIPG.getManaged) {
+    self.AIPG.getManaged = function getManaged() {
+      return new Promise(resolve => {
+        if (!chrome.storage?.managed) return resolve({});
+        chrome.storage.managed.get(null, (v) => {
+          void chrome.runtime.lastError; // no policy on unmanaged machines
+          resolve(v || {});
+        });
+      });
+    };
+  }
+
+  if (!self.AIPG.applyManaged) {
+    self.AIPG.applyManaged = function applyManaged(local, managed) {
+      const out = { ...(local || {}) };
+      for (const k of MANAGED_KEYS) {
+        if (managed?.[k] === undefined) continue;
+        out[k] = (k === "rules" && out.rules) ? { ...out.rules, ...managed.rules } : managed[k];
+      }
+      return out;
+    };
+  }
+
+  // Locked setting paths, e.g. ["rules.adminPinHash", "approvedAiUrl"]
+  if (!self.AIPG.managedPaths) {
+    self.AIPG.managedPaths = function managedPaths(managed) {
+      const paths = [];
+      for (const k of MANAGED_KEYS) {
+        if (managed?.[k] === undefined) continue;
+        if (k === "rules" && managed.rules && typeof managed.rules === "object") {
+          for (const f of Object.keys(managed.rules)) paths.push(`rules.${f}`);
+        } else paths.push(k);
+      }
+      return paths;
+    };
+  }
+
+  // Local values with managed ones applied on top
+  if (!self.AIPG.getEffective) {
+    self.AIPG.getEffective = function getEffective(keys) {
+      return Promise.all([self.AIPG.getLocal(keys), self.AIPG.getManaged()]).then(([local, managed]) => {
+        const merged = self.AIPG.applyManaged(local, managed);
+        const out = {};
+        for (const k of keys) if (merged[k] !== undefined) out[k] = merged[k];
+        return out;
+      });
+    };
+  }
+
   if (!self.AIPG.computeRiskScore) {
     self.AIPG.computeRiskScore = function computeRiskScore(ctx, profile) {
       const sw = profile.sensitiveFieldWeights || {};
@@ -51,14 +153,28 @@
 
       let score = 0;
       if (ctx.isAiDomain) score += aiDomainW;
-      if (ctx.aiUiSignals && ctx.aiUiSignals.length > 0) score += aiOnPageW;
+      // In-app AI: scaled by detection-rule confidence when the detector provides one
+      if (typeof ctx.aiUiConfidence === "number") score += aiOnPageW * ctx.aiUiConfidence;
+      else if (ctx.aiUiSignals && ctx.aiUiSignals.length > 0) score += aiOnPageW;
       if (ctx.isInternalSite) score += internalW;
 
       for (const k of ["password","email","credit","id"]) {
         const present = ctx.sensitiveFields?.[k] || 0;
         if (present > 0) score += (sw[k] || 0);
       }
-      return Math.min(100, score);
+
+      // Sensitive content typed into prompts (counts from dlp.js classifier)
+      const cw = profile.sensitiveContentWeights || {};
+      for (const [k, n] of Object.entries(ctx.contentFindings || {})) {
+        if (n > 0) score += (cw[k] || 0);
+      }
+
+      // Paste / drop / upload flagged sensitive by dlp.js (size, file type, findings)
+      if (ctx.transfer?.sensitive) score += (profile.sensitiveTransferWeight || 0);
+
+      // Page calls AI provider APIs in the background (webRequest, background.js)
+      if (ctx.aiApiCalls?.length) score += (profile.aiApiWeight || 0);
+      return Math.min(100, Math.round(score));
     };
   }
 
@@ -72,16 +188,20 @@
   }
 
   // UPDATED: include userRole + userId with every log entry (metadata-only)
+  if (!self.AIPG.logEntry) {
+    self.AIPG.logEntry = function logEntry(entry) {
+      const now = new Date().toISOString();
+      return Promise.all([
+        self.AIPG.getOrCreateUserId(),
+        self.AIPG.getEffective(["userRole"])
+      ]).then(([userId, { userRole }]) => ({ ts: now, userRole: userRole || "", userId: userId || "", ...entry }));
+    };
+  }
+
+  // Entries go to the IndexedDB event store (events.js, loaded alongside)
   if (!self.AIPG.appendLog) {
     self.AIPG.appendLog = function appendLog(entry) {
-      const now = new Date().toISOString();
-      return self.AIPG.getLocal(["logs", "userRole", "userId"]).then(async ({ logs = [], userRole, userId }) => {
-        // Ensure userId exists
-        if (!userId) userId = await self.AIPG.getOrCreateUserId();
-        const payload = { ts: now, userRole: userRole || "", userId: userId || "", ...entry };
-        logs.push(payload);
-        return self.AIPG.setLocal({ logs });
-      });
+      return self.AIPG.logEntry(entry).then((e) => self.AIPG.addEvent(e));
     };
   }
 })();
\ No newline at end of file